@@ -14,6 +14,7 @@ const fs = require('fs');
 const { initMaria } = require('./db/mariadb');
 const { initMongo } = require('./db/mongo');
 const { configureSocket } = require('./services/socketService');
+const { startAuctionScheduler } = require('./services/auctionScheduler');
 const swaggerUi = require('swagger-ui-express');
 const swaggerSpec = require('./config/swagger');
 const { ensureAdmin } = require('./middleware/auth');
@@ -91,8 +92,6 @@ if (requestedProtocol === 'https') {
   server = http.createServer(app);
 }
 
-configureSocket(server);
-
 app.set('view engine', 'ejs');
 app.set('views', path.join(__dirname, 'views'));
 
@@ -111,15 +110,16 @@ app.use(methodOverride('_method'));
 const sessionSecret = process.env.SESSION_SECRET || '63f4945d921d599f27ae4fdf5bada3f1';
 const mongoUri = process.env.MONGO_URI || 'mongodb://localhost:27017/202010832';
 
-app.use(
-  session({
-    secret: sessionSecret,
-    resave: false,
-    saveUninitialized: false,
-    store: MongoStore.create({ mongoUrl: mongoUri }),
-    cookie: { maxAge: 1000 * 60 * 60 * 2 }
-  })
-);
+const sessionMiddleware = session({
+  secret: sessionSecret,
+  resave: false,
+  saveUninitialized: false,
+  store: MongoStore.create({ mongoUrl: mongoUri }),
+  cookie: { maxAge: 1000 * 60 * 60 * 2 }
+});
+app.use(sessionMiddleware);
+// 소켓 연결도 같은 세션을 읽어 로그인한 사용자에게만 보내는 알림을 전달한다.
+configureSocket(server, { sessionMiddleware });
 
 app.use(flash());
 app.use((req, res, next) => {
@@ -128,6 +128,8 @@ app.use((req, res, next) => {
   next();
 });
 
+// 예전에 public/uploads에 올라간 원본도 정적 경로로는 열지 않고 서명된 다운로드 링크로만 내려준다.
+app.use('/uploads', (req, res) => res.sendStatus(404));
 app.use(express.static(path.join(__dirname, 'public')));
 
 app.use('/', authRoutes);
@@ -161,6 +163,7 @@ async function start() {
   server.listen(PORT, HOST, () => {
     console.log(`Server listening on ${appBaseUrl} (bound to ${HOST})`);
   });
+  await startAuctionScheduler();
 }
 
 start().catch((error) => {
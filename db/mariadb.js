@@ -135,6 +135,173 @@ async function applyMigrations(activePool) {
             FOREIGN KEY (bidder_id) REFERENCES users(id) ON DELETE CASCADE
             )
     `);
+
+    // 철회된 입찰 기록은 지우지 않고 철회 시각만 표시한다.
+    await activePool.query(`
+        ALTER TABLE bid_logs
+            ADD COLUMN IF NOT EXISTS retracted_at TIMESTAMP NULL DEFAULT NULL
+    `);
+
+    // ───────────── bid_retractions 테이블 ─────────────
+    await activePool.query(`
+        CREATE TABLE IF NOT EXISTS bid_retractions (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            auction_id VARCHAR(255) NOT NULL,
+            bidder_id INT NOT NULL,
+            amount DECIMAL(15,2) NOT NULL,
+            retracted_bid_count INT NOT NULL DEFAULT 1,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            INDEX idx_bid_retractions_bidder (bidder_id, created_at),
+            FOREIGN KEY (bidder_id) REFERENCES users(id) ON DELETE CASCADE
+            )
+    `);
+
+    // ───────────── auction_watches 테이블 ─────────────
+    await activePool.query(`
+        CREATE TABLE IF NOT EXISTS auction_watches (
+            user_id INT NOT NULL,
+            auction_id VARCHAR(255) NOT NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (user_id, auction_id),
+            INDEX idx_auction_watches_auction (auction_id),
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+            )
+    `);
+
+    // 관심 경매 알림은 경매·종류별로 최신 한 건만 남긴다.
+    await activePool.query(`
+        CREATE TABLE IF NOT EXISTS watch_alerts (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            user_id INT NOT NULL,
+            auction_id VARCHAR(255) NOT NULL,
+            auction_title VARCHAR(255) NOT NULL,
+            type VARCHAR(32) NOT NULL,
+            message VARCHAR(500) NOT NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE KEY unique_watch_alert (user_id, auction_id, type),
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+            )
+    `);
+
+    // ───────────── saved_searches 테이블 ─────────────
+    // 검색 조건은 목록 화면의 쿼리 문자열 형태로 저장해 링크로 그대로 다시 실행할 수 있게 한다.
+    await activePool.query(`
+        CREATE TABLE IF NOT EXISTS saved_searches (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            user_id INT NOT NULL,
+            name VARCHAR(100) NOT NULL,
+            query_string VARCHAR(1000) NOT NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            INDEX idx_saved_searches_user (user_id),
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+            )
+    `);
+
+    // 새 경매를 대조할 때 모든 저장한 검색을 읽지 않도록 정확히 일치하는 조건과 가격 범위를 따로 저장해 SQL에서 먼저 거른다.
+    // 값이 없는 열은 해당 조건이 없다는 뜻이며, 이전에 저장된 검색도 이렇게 걸러지지 않고 대조 대상에 남는다.
+    await activePool.query(`
+        ALTER TABLE saved_searches
+            ADD COLUMN IF NOT EXISTS department VARCHAR(100) NULL AFTER query_string,
+            ADD COLUMN IF NOT EXISTS course_code VARCHAR(50) NULL AFTER department,
+            ADD COLUMN IF NOT EXISTS material_type VARCHAR(50) NULL AFTER course_code,
+            ADD COLUMN IF NOT EXISTS min_price DOUBLE NULL AFTER material_type,
+            ADD COLUMN IF NOT EXISTS max_price DOUBLE NULL AFTER min_price,
+            ADD INDEX IF NOT EXISTS idx_saved_searches_course (department, course_code),
+            ADD INDEX IF NOT EXISTS idx_saved_searches_material (material_type)
+    `);
+
+    // 여러 저장한 검색에 걸리는 경매라도 사용자에게는 한 번만 알린다.
+    await activePool.query(`
+        CREATE TABLE IF NOT EXISTS saved_search_alerts (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            user_id INT NOT NULL,
+            saved_search_id INT NULL,
+            search_name VARCHAR(100) NOT NULL,
+            auction_id VARCHAR(255) NOT NULL,
+            auction_title VARCHAR(255) NOT NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE KEY unique_saved_search_alert (user_id, auction_id),
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+            FOREIGN KEY (saved_search_id) REFERENCES saved_searches(id) ON DELETE SET NULL
+            )
+    `);
+
+    // ───────────── file_downloads 테이블 ─────────────
+    // 자료 다운로드는 한 번에 한 행씩 남겨 사용자별 횟수 제한과 유출 추적에 함께 쓴다.
+    await activePool.query(`
+        CREATE TABLE IF NOT EXISTS file_downloads (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            user_id INT NOT NULL,
+            auction_id VARCHAR(255) NOT NULL,
+            ip_address VARCHAR(64) NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            INDEX idx_file_downloads_user_auction (user_id, auction_id),
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+            )
+    `);
+
+    // 이어받기 요청을 처음 받기 시작한 링크의 다운로드 기록에만 허용하도록 링크별 토큰을 남긴다.
+    await activePool.query(`
+        ALTER TABLE file_downloads
+            ADD COLUMN IF NOT EXISTS download_token CHAR(32) NULL AFTER auction_id,
+            ADD INDEX IF NOT EXISTS idx_file_downloads_token (download_token)
+    `);
+
+    // ───────────── download_watermarks 테이블 ─────────────
+    // 구매자마다 경매별 식별 표시를 하나씩 발급해, 유출된 파일에서 읽은 표시로 구매 기록을 찾는다.
+    await activePool.query(`
+        CREATE TABLE IF NOT EXISTS download_watermarks (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            marker VARCHAR(32) NOT NULL,
+            user_id INT NOT NULL,
+            auction_id VARCHAR(255) NOT NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE KEY unique_download_watermark_marker (marker),
+            UNIQUE KEY unique_download_watermark (user_id, auction_id),
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+            )
+    `);
+
+    // ───────────── user_strikes 테이블 ─────────────
+    await activePool.query(`
+        CREATE TABLE IF NOT EXISTS user_strikes (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            user_id INT NOT NULL,
+            auction_id VARCHAR(255) NOT NULL,
+            reason VARCHAR(255) NOT NULL,
+            created_by INT NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE KEY unique_strike (user_id, auction_id, reason),
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+            )
+    `);
+
+    await activePool.query(`
+        ALTER TABLE users
+            ADD COLUMN IF NOT EXISTS strike_count INT DEFAULT 0 AFTER reputation_count
+    `);
+
+    // 평판 감점(예: 입찰 후 판매자 취소)은 후기 평균과 별도로 누적해 평점 재계산 때도 유지한다.
+    await activePool.query(`
+        ALTER TABLE users
+            ADD COLUMN IF NOT EXISTS reputation_penalty DECIMAL(5,2) DEFAULT 0 AFTER strike_count
+    `);
+
+    // ───────────── reputation_penalties 테이블 ─────────────
+    // 평판 감점 내역은 거래 불이행 경고(user_strikes)와 따로 남긴다. 같은 경매의 같은 사유는 한 번만 감점한다.
+    await activePool.query(`
+        CREATE TABLE IF NOT EXISTS reputation_penalties (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            user_id INT NOT NULL,
+            auction_id VARCHAR(255) NOT NULL,
+            reason VARCHAR(255) NOT NULL,
+            amount DECIMAL(5,2) NOT NULL,
+            created_by INT NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE KEY unique_reputation_penalty (user_id, auction_id, reason),
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+            )
+    `);
 }
 
 async function ensureAdminAccount(activePool) {
@@ -8,6 +8,39 @@ async function recordBidLog({ auctionId, bidderId, amount }) {
   );
 }
 
+// 한 번의 입찰로 생긴 여러 기록(자동 입찰 포함)을 한 트랜잭션으로 남겨 일부만 기록되는 일이 없게 하고,
+// 입찰 순서대로 기록 ID를 돌려준다. 여러 행 INSERT의 ID는 연속된다는 보장이 없으므로 한 행씩 넣는다.
+// 이미 트랜잭션을 연 연결이 있으면 executor로 넘긴다.
+async function recordBidLogs(auctionId, bids, executor = null) {
+  if (!bids.length) {
+    return [];
+  }
+  if (!executor) {
+    const connection = await getMariaPool().getConnection();
+    try {
+      await connection.beginTransaction();
+      const logIds = await recordBidLogs(auctionId, bids, connection);
+      await connection.commit();
+      return logIds;
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+  const logIds = [];
+  for (const bid of bids) {
+    const [result] = await executor.query(`INSERT INTO bid_logs (auction_id, bidder_id, amount) VALUES (?, ?, ?)`, [
+      auctionId,
+      bid.bidderId,
+      bid.amount
+    ]);
+    logIds.push(result.insertId);
+  }
+  return logIds;
+}
+
 async function listBidLogs(auctionId) {
   const pool = getMariaPool();
   const [rows] = await pool.query(
@@ -20,4 +53,69 @@ async function listBidLogs(auctionId) {
   return rows;
 }
 
-module.exports = { recordBidLog, listBidLogs };
+// 철회 기록 추가, 철회된 입찰 기록의 철회 표시, 철회 후 다시 해소된 자동 입찰 기록을 한 트랜잭션으로 처리한다.
+// 철회된 입찰은 입찰 때 남긴 기록 ID로 찾으며, 새로 남긴 자동 입찰 기록의 ID를 돌려준다.
+async function recordBidRetraction({ auctionId, bidderId, amount, retractedCount, retractedLogIds, replacementBids = [] }) {
+  const connection = await getMariaPool().getConnection();
+  try {
+    await connection.beginTransaction();
+    await connection.query(
+      `INSERT INTO bid_retractions (auction_id, bidder_id, amount, retracted_bid_count) VALUES (?, ?, ?, ?)`,
+      [auctionId, bidderId, amount, retractedCount]
+    );
+    if (retractedLogIds.length) {
+      await connection.query(
+        `UPDATE bid_logs SET retracted_at = CURRENT_TIMESTAMP
+         WHERE auction_id = ? AND retracted_at IS NULL AND id IN (?)`,
+        [auctionId, retractedLogIds]
+      );
+    }
+    const replacementLogIds = await recordBidLogs(auctionId, replacementBids, connection);
+    await connection.commit();
+    return replacementLogIds;
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+}
+
+async function listFrequentRetractors({ days = 30, minCount = 2 } = {}) {
+  const pool = getMariaPool();
+  const [rows] = await pool.query(
+    `SELECT bid_retractions.bidder_id, users.nickname,
+            COUNT(*) AS retraction_count,
+            COUNT(DISTINCT bid_retractions.auction_id) AS auction_count,
+            MAX(bid_retractions.created_at) AS last_retracted_at
+     FROM bid_retractions
+     JOIN users ON users.id = bid_retractions.bidder_id
+     WHERE bid_retractions.created_at >= DATE_SUB(NOW(), INTERVAL ? DAY)
+     GROUP BY bid_retractions.bidder_id, users.nickname
+     HAVING COUNT(*) >= ?
+     ORDER BY retraction_count DESC, last_retracted_at DESC`,
+    [days, minCount]
+  );
+  return rows;
+}
+
+async function listRecentRetractions(limit = 50) {
+  const pool = getMariaPool();
+  const [rows] = await pool.query(
+    `SELECT bid_retractions.*, users.nickname FROM bid_retractions
+     JOIN users ON users.id = bid_retractions.bidder_id
+     ORDER BY bid_retractions.created_at DESC
+     LIMIT ?`,
+    [limit]
+  );
+  return rows;
+}
+
+module.exports = {
+  recordBidLog,
+  recordBidLogs,
+  listBidLogs,
+  recordBidRetraction,
+  listFrequentRetractors,
+  listRecentRetractions
+};
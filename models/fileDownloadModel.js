@@ -0,0 +1,57 @@
+const { getMariaPool } = require('../db/mariadb');
+
+async function countDownloads(userId, auctionId) {
+  const pool = getMariaPool();
+  const [rows] = await pool.query(
+    `SELECT COUNT(*) AS total FROM file_downloads WHERE user_id = ? AND auction_id = ?`,
+    [userId, auctionId]
+  );
+  return Number(rows[0].total);
+}
+
+// 해당 링크 토큰으로 이미 받기 시작한 다운로드 기록이 있는지 확인한다.
+async function hasDownloadForToken(userId, auctionId, downloadToken) {
+  const pool = getMariaPool();
+  const [rows] = await pool.query(
+    `SELECT id FROM file_downloads WHERE user_id = ? AND auction_id = ? AND download_token = ? LIMIT 1`,
+    [userId, auctionId, downloadToken]
+  );
+  return rows.length > 0;
+}
+
+const MAX_DEADLOCK_RETRIES = 3;
+
+// 횟수 확인과 기록을 한 문장으로 처리해 동시에 들어온 요청이 한도를 넘기지 못하게 한다.
+// 같은 사용자·경매의 요청이 동시에 들어오면 InnoDB가 한쪽을 교착 상태(1213)로 되돌리므로, 그때는 다시 시도해
+// 남은 횟수 기준의 결과를 돌려준다. limit이 null이면 제한 없이 기록한다.
+async function recordDownloadWithinLimit(userId, auctionId, limit, { ipAddress = null, downloadToken = null } = {}) {
+  const pool = getMariaPool();
+  if (limit == null) {
+    await pool.query(
+      `INSERT INTO file_downloads (user_id, auction_id, download_token, ip_address) VALUES (?, ?, ?, ?)`,
+      [userId, auctionId, downloadToken, ipAddress]
+    );
+    return true;
+  }
+  for (let attempt = 1; ; attempt += 1) {
+    try {
+      const [result] = await pool.query(
+        `INSERT INTO file_downloads (user_id, auction_id, download_token, ip_address)
+         SELECT ?, ?, ?, ? FROM DUAL
+         WHERE (SELECT COUNT(*) FROM file_downloads WHERE user_id = ? AND auction_id = ?) < ?`,
+        [userId, auctionId, downloadToken, ipAddress, userId, auctionId, limit]
+      );
+      return result.affectedRows > 0;
+    } catch (error) {
+      if (!error || error.code !== 'ER_LOCK_DEADLOCK' || attempt >= MAX_DEADLOCK_RETRIES) {
+        throw error;
+      }
+    }
+  }
+}
+
+module.exports = {
+  countDownloads,
+  hasDownloadForToken,
+  recordDownloadWithinLimit
+};
@@ -5,11 +5,103 @@ const bidSchema = new mongoose.Schema(
     bidderId: { type: Number, required: true },
     bidderNickname: { type: String, required: true },
     amount: { type: Number, required: true },
+    isAuto: { type: Boolean, default: false },
+    // MariaDB bid_logs 행 ID. 철회할 때 해당 기록을 정확히 찾는 데 쓴다.
+    logId: { type: Number, default: null },
     createdAt: { type: Date, default: Date.now }
   },
   { _id: false }
 );
 
+const proxyBidSchema = new mongoose.Schema(
+  {
+    bidderId: { type: Number, required: true },
+    bidderNickname: { type: String, required: true },
+    maxAmount: { type: Number, required: true },
+    createdAt: { type: Date, default: Date.now }
+  },
+  { _id: false }
+);
+
+const softCloseSchema = new mongoose.Schema(
+  {
+    windowMinutes: { type: Number, required: true },
+    extensionMinutes: { type: Number, required: true },
+    maxExtensionMinutes: { type: Number, required: true }
+  },
+  { _id: false }
+);
+
+const extensionSchema = new mongoose.Schema(
+  {
+    previousEndTime: { type: Date, required: true },
+    newEndTime: { type: Date, required: true },
+    bidAmount: { type: Number, default: null },
+    createdAt: { type: Date, default: Date.now }
+  },
+  { _id: false }
+);
+
+const dutchScheduleSchema = new mongoose.Schema(
+  {
+    floorPrice: { type: Number, required: true },
+    dropAmount: { type: Number, required: true },
+    intervalMinutes: { type: Number, required: true },
+    startedAt: { type: Date, required: true }
+  },
+  { _id: false }
+);
+
+const defaultSchema = new mongoose.Schema(
+  {
+    bidderId: { type: Number, required: true },
+    bidderNickname: { type: String, required: true },
+    amount: { type: Number, required: true },
+    markedBy: { type: Number, required: true },
+    createdAt: { type: Date, default: Date.now }
+  },
+  { _id: false }
+);
+
+const secondChanceOfferSchema = new mongoose.Schema(
+  {
+    bidderId: { type: Number, required: true },
+    bidderNickname: { type: String, required: true },
+    amount: { type: Number, required: true },
+    status: { type: String, default: 'PENDING', enum: ['PENDING', 'ACCEPTED', 'DECLINED', 'EXPIRED'] },
+    expiresAt: { type: Date, required: true },
+    respondedAt: { type: Date, default: null },
+    createdAt: { type: Date, default: Date.now }
+  },
+  { _id: false }
+);
+
+const revisionChangeSchema = new mongoose.Schema(
+  {
+    field: { type: String, required: true, enum: ['title', 'description', 'endTime', 'file'] },
+    previous: { type: mongoose.Schema.Types.Mixed, default: null },
+    next: { type: mongoose.Schema.Types.Mixed, default: null }
+  },
+  { _id: false }
+);
+
+const revisionSchema = new mongoose.Schema(
+  {
+    editedBy: { type: Number, required: true },
+    changes: [revisionChangeSchema],
+    createdAt: { type: Date, default: Date.now }
+  },
+  { _id: false }
+);
+
+const bidderAliasSchema = new mongoose.Schema(
+  {
+    bidderId: { type: Number, required: true },
+    alias: { type: String, required: true }
+  },
+  { _id: false }
+);
+
 const reviewSchema = new mongoose.Schema(
   {
     bidderId: { type: Number, required: true },
@@ -21,32 +113,202 @@ const reviewSchema = new mongoose.Schema(
   { _id: false }
 );
 
+// 등록 시점의 과목 정보 사본. 과목 목록이 바뀌거나 삭제돼도 경매에 표시되는 정보는 유지된다.
+const academicSchema = new mongoose.Schema(
+  {
+    courseId: { type: mongoose.Schema.Types.ObjectId, ref: 'Course', default: null },
+    department: { type: String, required: true },
+    courseCode: { type: String, required: true },
+    courseName: { type: String, required: true },
+    professor: { type: String, default: null },
+    year: { type: Number, default: null },
+    term: { type: String, default: null, enum: [null, 'SPRING', 'SUMMER', 'FALL', 'WINTER'] },
+    materialType: { type: String, required: true, enum: ['EXAM', 'NOTES', 'ASSIGNMENT_SOLUTION'] }
+  },
+  { _id: false }
+);
+
+// 임시 저장본(DRAFT)은 제목만 있으면 저장할 수 있고, 나머지 필수 항목은 게시할 때 채워진다.
+function requiredUnlessDraft() {
+  return this.status !== 'DRAFT';
+}
+
 const auctionSchema = new mongoose.Schema(
   {
     title: { type: String, required: true },
-    description: { type: String, required: true },
+    type: { type: String, default: 'ENGLISH', enum: ['ENGLISH', 'SEALED', 'DUTCH'] },
+    description: { type: String, required: requiredUnlessDraft },
+    academic: { type: academicSchema, default: null },
     sellerId: { type: Number, required: true },
     sellerNickname: { type: String, required: true },
-    startPrice: { type: Number, required: true },
-    currentPrice: { type: Number, required: true },
-    endTime: { type: Date, required: true },
-    filePath: { type: String, required: true },
-    fileOriginalName: { type: String, required: true },
+    startPrice: { type: Number, required: requiredUnlessDraft },
+    currentPrice: { type: Number, required: requiredUnlessDraft },
+    buyNowPrice: { type: Number, default: null },
+    // 최저 낙찰가는 판매자 외에는 금액을 알 수 없어야 하므로 JSON 응답에서 제거된다.
+    reservePrice: { type: Number, default: null },
+    buyNowDisabledAt: { type: Date, default: null },
+    startTime: { type: Date, default: null },
+    endTime: { type: Date, required: requiredUnlessDraft },
+    originalEndTime: { type: Date, default: null },
+    softClose: { type: softCloseSchema, default: null },
+    dutchSchedule: { type: dutchScheduleSchema, default: null },
+    extensions: [extensionSchema],
+    filePath: { type: String, required: requiredUnlessDraft },
+    fileOriginalName: { type: String, required: requiredUnlessDraft },
+    // 업로드 파이프라인이 만든 워터마크 미리보기 이미지 경로(원본과 함께 비공개 디렉터리에 저장)
+    previewPaths: { type: [String], default: [] },
+    // 재등록된 경매는 원본 경매의 파일을 그대로 사용하며, 원본과 재등록본이 서로를 가리킨다.
+    relistedFrom: { type: mongoose.Schema.Types.ObjectId, ref: 'Auction', default: null },
+    relistedTo: { type: mongoose.Schema.Types.ObjectId, ref: 'Auction', default: null },
+    // 첫 입찰 전 판매자의 수정 이력. 관리자에게만 표시된다.
+    revisions: [revisionSchema],
     bids: [bidSchema],
+    // 경매마다 따로 붙는 입찰자 별칭. 한 사람을 여러 경매에 걸쳐 추적할 수 없도록 계정 ID·닉네임 대신 노출한다.
+    bidderAliases: { type: [bidderAliasSchema], default: [] },
+    // 자동 입찰 최대 금액은 입찰자 본인 외에는 절대 노출되지 않아야 하므로 기본 조회에서 제외한다.
+    proxyBids: { type: [proxyBidSchema], default: [], select: false },
     reviews: [reviewSchema],
     createdAt: { type: Date, default: Date.now },
-    status: { type: String, default: 'OPEN', enum: ['OPEN', 'CLOSED'] },
+    status: { type: String, default: 'OPEN', enum: ['DRAFT', 'SCHEDULED', 'OPEN', 'CLOSED', 'CANCELLED'] },
+    // 임시 저장 중인 등록 폼 입력값. 게시하면 검증된 값으로 옮겨지고 삭제된다.
+    draft: { type: mongoose.Schema.Types.Mixed, default: undefined },
     winnerId: { type: Number, default: null },
     winnerNickname: { type: String, default: null },
     winningBidAmount: { type: Number, default: null },
-    closedAt: { type: Date, default: null }
+    closeReason: { type: String, default: null, enum: [null, 'ENDED', 'BUY_NOW', 'PRICE_ACCEPTED'] },
+    // DEFAULTED: 낙찰자가 거래를 이행하지 않았고 차순위 제안을 수락한 입찰자도 없는 경우.
+    result: { type: String, default: null, enum: [null, 'SOLD', 'NO_BIDS', 'RESERVE_NOT_MET', 'DEFAULTED'] },
+    defaults: [defaultSchema],
+    secondChanceOffers: [secondChanceOfferSchema],
+    bidsRevealedAt: { type: Date, default: null },
+    closedAt: { type: Date, default: null },
+    // 관심 목록 사용자에게 마감 1시간 전 알림을 보낸 시각
+    endingSoonNotifiedAt: { type: Date, default: null },
+    cancelledAt: { type: Date, default: null },
+    cancelReason: { type: String, default: null }
   },
   {
-    timestamps: true
+    timestamps: true,
+    toJSON: {
+      virtuals: true,
+      transform: (doc, ret) => {
+        delete ret.proxyBids;
+        delete ret.reservePrice;
+        delete ret.revisions;
+        if (ret.type === 'SEALED' && ret.status !== 'CLOSED') {
+          ret.bidCount = Array.isArray(ret.bids) ? ret.bids.length : 0;
+          ret.bids = [];
+        }
+        if (typeof doc.getBidderAliases === 'function') {
+          const aliases = doc.getBidderAliases();
+          const withAlias = ({ bidderId, bidderNickname, ...entry }) => ({
+            ...entry,
+            bidderAlias: aliases.get(Number(bidderId)) || null
+          });
+          ['bids', 'reviews', 'defaults', 'secondChanceOffers'].forEach((field) => {
+            if (Array.isArray(ret[field])) {
+              ret[field] = ret[field].map(withAlias);
+            }
+          });
+          delete ret.bidderAliases;
+          delete ret.winnerId;
+          delete ret.winnerNickname;
+        }
+        return ret;
+      }
+    }
   }
 );
 
+auctionSchema.virtual('hasReserve').get(function hasReserve() {
+  return Boolean(this.reservePrice);
+});
+
+auctionSchema.virtual('reserveMet').get(function reserveMet() {
+  if (!this.reservePrice) {
+    return true;
+  }
+  if (this.status === 'CLOSED') {
+    return this.result !== 'RESERVE_NOT_MET';
+  }
+  return this.bids.length > 0 && this.currentPrice >= this.reservePrice;
+});
+
+// 0 → A, 25 → Z, 26 → AA 순서의 별칭 이름
+function formatBidderAlias(index) {
+  let label = '';
+  let remaining = index;
+  do {
+    label = String.fromCharCode(65 + (remaining % 26)) + label;
+    remaining = Math.floor(remaining / 26) - 1;
+  } while (remaining >= 0);
+  return `입찰자 ${label}`;
+}
+
+// 저장된 별칭에 없는 입찰자(별칭 도입 전의 입찰)는 첫 입찰 순서대로 이어서 붙인다.
+auctionSchema.methods.getBidderAliases = function getBidderAliases() {
+  const aliases = new Map((this.bidderAliases || []).map((entry) => [Number(entry.bidderId), entry.alias]));
+  (this.bids || []).forEach((bid) => {
+    const bidderId = Number(bid.bidderId);
+    if (!aliases.has(bidderId)) {
+      aliases.set(bidderId, formatBidderAlias(aliases.size));
+    }
+  });
+  return aliases;
+};
+
+// 입찰을 추가할 때 호출해 별칭을 문서에 고정한다. 입찰이 철회돼 순서가 바뀌어도 같은 별칭을 유지한다.
+auctionSchema.methods.assignBidderAlias = function assignBidderAlias(bidderId) {
+  const aliases = this.getBidderAliases();
+  const normalizedId = Number(bidderId);
+  if (!aliases.has(normalizedId)) {
+    aliases.set(normalizedId, formatBidderAlias(aliases.size));
+  }
+  if (aliases.size !== (this.bidderAliases || []).length) {
+    this.bidderAliases = Array.from(aliases, ([id, alias]) => ({ bidderId: id, alias }));
+  }
+  return aliases.get(normalizedId);
+};
+
+auctionSchema.virtual('winnerAlias').get(function winnerAlias() {
+  return this.winnerId ? this.getBidderAliases().get(Number(this.winnerId)) || null : null;
+});
+
+// 판매자·낙찰자·관리자만 낙찰자의 실제 닉네임을 알 수 있다. 거래를 이어가야 하는 당사자이기 때문이다.
+auctionSchema.methods.describeViewer = function describeViewer(user) {
+  const viewerId = user ? Number(user.id) : null;
+  const isSeller = viewerId !== null && this.sellerId === viewerId;
+  const isWinner = viewerId !== null && Number(this.winnerId) === viewerId;
+  const hasBid = viewerId !== null && (this.bids || []).some((bid) => Number(bid.bidderId) === viewerId);
+  return {
+    bidderAlias: hasBid ? this.getBidderAliases().get(viewerId) : null,
+    isSeller,
+    isWinner,
+    hasBid,
+    winnerNickname: isSeller || isWinner || (user && user.isAdmin) ? this.winnerNickname || null : null
+  };
+};
+
+auctionSchema.virtual('bidsHidden').get(function bidsHidden() {
+  return this.type === 'SEALED' && this.status !== 'CLOSED';
+});
+
+// 즉시 구매 가능 여부. 서비스와 직렬화기가 같은 규칙을 쓰도록 여기 한 곳에 두며, 문서와 일반 객체 모두 받는다.
+// 마감 시간이 지났지만 아직 종료 처리되지 않은 경매도 구매할 수 없다.
+auctionSchema.statics.isBuyNowAvailable = function isBuyNowAvailable(auction, now = new Date()) {
+  return (
+    Boolean(auction.buyNowPrice) &&
+    !auction.buyNowDisabledAt &&
+    auction.status === 'OPEN' &&
+    new Date(auction.endTime) > now
+  );
+};
+
 auctionSchema.index({ endTime: 1 });
+auctionSchema.index({ status: 1, startTime: 1 });
 auctionSchema.index({ createdAt: -1 });
+auctionSchema.index({ filePath: 1 });
+auctionSchema.index({ 'academic.department': 1, 'academic.courseCode': 1 });
+auctionSchema.index({ 'secondChanceOffers.status': 1, 'secondChanceOffers.expiresAt': 1 });
 
 module.exports = mongoose.model('Auction', auctionSchema);
@@ -0,0 +1,16 @@
+const mongoose = require('mongoose');
+
+// 관리자가 관리하는 과목 목록. 같은 과목을 여러 교수가 가르칠 수 있어 교수는 목록으로 둔다.
+const courseSchema = new mongoose.Schema(
+  {
+    department: { type: String, required: true, trim: true },
+    code: { type: String, required: true, trim: true, uppercase: true, unique: true },
+    name: { type: String, required: true, trim: true },
+    professors: { type: [String], default: [] }
+  },
+  { timestamps: true }
+);
+
+courseSchema.index({ department: 1, code: 1 });
+
+module.exports = mongoose.model('Course', courseSchema);
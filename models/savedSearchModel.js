@@ -0,0 +1,82 @@
+const { getMariaPool } = require('../db/mariadb');
+
+async function createSavedSearch(userId, { name, queryString, filters = {} }) {
+  const pool = getMariaPool();
+  const [result] = await pool.query(
+    `INSERT INTO saved_searches (user_id, name, query_string, department, course_code, material_type, min_price, max_price)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      userId,
+      name,
+      queryString,
+      filters.department || null,
+      filters.courseCode || null,
+      filters.materialType || null,
+      filters.minPrice != null ? filters.minPrice : null,
+      filters.maxPrice != null ? filters.maxPrice : null
+    ]
+  );
+  return result.insertId;
+}
+
+async function listSavedSearches(userId) {
+  const pool = getMariaPool();
+  const [rows] = await pool.query(`SELECT * FROM saved_searches WHERE user_id = ? ORDER BY created_at DESC, id DESC`, [
+    userId
+  ]);
+  return rows;
+}
+
+// 새 경매와 대조할 다른 사용자들의 저장한 검색. 판매자 본인의 검색은 제외하고,
+// 따로 저장한 학과·과목 코드·자료 종류·가격 범위가 이 경매와 맞지 않는 검색은 SQL에서 먼저 거른다.
+async function listSavedSearchesExcept(userId, { department = null, courseCode = null, materialType = null, price }) {
+  const pool = getMariaPool();
+  const [rows] = await pool.query(
+    `SELECT * FROM saved_searches
+     WHERE user_id <> ?
+       AND (department IS NULL OR department = ?)
+       AND (course_code IS NULL OR course_code = ?)
+       AND (material_type IS NULL OR material_type = ?)
+       AND (min_price IS NULL OR min_price <= ?)
+       AND (max_price IS NULL OR max_price >= ?)
+     ORDER BY id ASC`,
+    [userId, department, courseCode, materialType, price, price]
+  );
+  return rows;
+}
+
+async function deleteSavedSearch(userId, savedSearchId) {
+  const pool = getMariaPool();
+  const [result] = await pool.query(`DELETE FROM saved_searches WHERE id = ? AND user_id = ?`, [savedSearchId, userId]);
+  return result.affectedRows > 0;
+}
+
+async function recordSavedSearchAlerts(alerts) {
+  if (!alerts.length) {
+    return;
+  }
+  const pool = getMariaPool();
+  await pool.query(
+    `INSERT IGNORE INTO saved_search_alerts (user_id, saved_search_id, search_name, auction_id, auction_title)
+     VALUES ${alerts.map(() => '(?, ?, ?, ?, ?)').join(', ')}`,
+    alerts.flatMap((alert) => [alert.userId, alert.savedSearchId, alert.searchName, alert.auctionId, alert.auctionTitle])
+  );
+}
+
+async function listSavedSearchAlerts(userId, limit = 50) {
+  const pool = getMariaPool();
+  const [rows] = await pool.query(
+    `SELECT * FROM saved_search_alerts WHERE user_id = ? ORDER BY created_at DESC LIMIT ?`,
+    [userId, limit]
+  );
+  return rows;
+}
+
+module.exports = {
+  createSavedSearch,
+  listSavedSearches,
+  listSavedSearchesExcept,
+  deleteSavedSearch,
+  recordSavedSearchAlerts,
+  listSavedSearchAlerts
+};
@@ -67,11 +67,62 @@ async function recordReputation({ reviewerId, targetId, auctionId, score, commen
   const ratingCount = summary[0].ratingCount || 0;
 
   await pool.query(
-    `UPDATE users SET reputation_score = ?, reputation_count = ? WHERE id = ?`,
+    `UPDATE users SET reputation_score = GREATEST(? - reputation_penalty, 0), reputation_count = ? WHERE id = ?`,
     [avgScore.toFixed(2), ratingCount, targetId]
   );
 }
 
+// 거래 불이행 등 제재 사유를 기록한다. 같은 경매의 같은 사유는 한 번만 집계된다.
+async function recordStrike({ userId, auctionId, reason, createdBy = null }) {
+  const pool = getMariaPool();
+  const [result] = await pool.query(
+    `INSERT IGNORE INTO user_strikes (user_id, auction_id, reason, created_by) VALUES (?, ?, ?, ?)`,
+    [userId, auctionId, reason, createdBy]
+  );
+  if (result.affectedRows) {
+    await pool.query(`UPDATE users SET strike_count = strike_count + 1 WHERE id = ?`, [userId]);
+  }
+  return result.affectedRows > 0;
+}
+
+// 평판 점수를 깎고 감점 내역을 남긴다. 거래 불이행 경고 횟수(strike_count)와는 별개이며,
+// 감점은 누적되어 이후 후기로 평점을 다시 계산할 때도 반영된다. 같은 경매의 같은 사유는 한 번만 감점한다.
+async function applyReputationPenalty({ userId, auctionId, reason, amount, createdBy = null }) {
+  if (!(amount > 0)) {
+    return false;
+  }
+  const connection = await getMariaPool().getConnection();
+  try {
+    await connection.beginTransaction();
+    const [result] = await connection.query(
+      `INSERT IGNORE INTO reputation_penalties (user_id, auction_id, reason, amount, created_by) VALUES (?, ?, ?, ?, ?)`,
+      [userId, auctionId, reason, amount, createdBy]
+    );
+    if (result.affectedRows) {
+      await connection.query(
+        `UPDATE users
+         SET reputation_penalty = reputation_penalty + ?,
+             reputation_score = GREATEST(reputation_score - ?, 0)
+         WHERE id = ?`,
+        [amount, amount, userId]
+      );
+    }
+    await connection.commit();
+    return result.affectedRows > 0;
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+}
+
+async function listUserIdsWithMinReputation(minScore) {
+  const pool = getMariaPool();
+  const [rows] = await pool.query('SELECT id FROM users WHERE reputation_score >= ?', [minScore]);
+  return rows.map((row) => row.id);
+}
+
 async function listUsers({ page = 1, limit = 20 }) {
   const pool = getMariaPool();
   const offset = (page - 1) * limit;
@@ -85,5 +136,8 @@ module.exports = {
   findUserByEmail,
   findUserById,
   recordReputation,
+  recordStrike,
+  applyReputationPenalty,
+  listUserIdsWithMinReputation,
   listUsers
 };
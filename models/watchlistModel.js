@@ -0,0 +1,68 @@
+const { getMariaPool } = require('../db/mariadb');
+
+async function addWatch(userId, auctionId) {
+  const pool = getMariaPool();
+  await pool.query(`INSERT IGNORE INTO auction_watches (user_id, auction_id) VALUES (?, ?)`, [userId, auctionId]);
+}
+
+async function removeWatch(userId, auctionId) {
+  const pool = getMariaPool();
+  await pool.query(`DELETE FROM auction_watches WHERE user_id = ? AND auction_id = ?`, [userId, auctionId]);
+}
+
+async function isWatching(userId, auctionId) {
+  const pool = getMariaPool();
+  const [rows] = await pool.query(
+    `SELECT 1 FROM auction_watches WHERE user_id = ? AND auction_id = ? LIMIT 1`,
+    [userId, auctionId]
+  );
+  return rows.length > 0;
+}
+
+async function listWatchedAuctionIds(userId) {
+  const pool = getMariaPool();
+  const [rows] = await pool.query(
+    `SELECT auction_id FROM auction_watches WHERE user_id = ? ORDER BY created_at DESC`,
+    [userId]
+  );
+  return rows.map((row) => row.auction_id);
+}
+
+async function listWatcherIds(auctionId) {
+  const pool = getMariaPool();
+  const [rows] = await pool.query(`SELECT user_id FROM auction_watches WHERE auction_id = ?`, [auctionId]);
+  return rows.map((row) => row.user_id);
+}
+
+// 같은 경매에서 같은 종류의 알림이 반복되면 새 행을 쌓지 않고 내용과 시각만 갱신한다.
+async function recordWatchAlerts(userIds, { auctionId, auctionTitle, type, message }) {
+  if (!userIds.length) {
+    return;
+  }
+  const pool = getMariaPool();
+  await pool.query(
+    `INSERT INTO watch_alerts (user_id, auction_id, auction_title, type, message)
+     VALUES ${userIds.map(() => '(?, ?, ?, ?, ?)').join(', ')}
+     ON DUPLICATE KEY UPDATE auction_title = VALUES(auction_title), message = VALUES(message), created_at = CURRENT_TIMESTAMP`,
+    userIds.flatMap((userId) => [userId, auctionId, auctionTitle, type, message])
+  );
+}
+
+async function listWatchAlerts(userId, limit = 50) {
+  const pool = getMariaPool();
+  const [rows] = await pool.query(
+    `SELECT * FROM watch_alerts WHERE user_id = ? ORDER BY created_at DESC LIMIT ?`,
+    [userId, limit]
+  );
+  return rows;
+}
+
+module.exports = {
+  addWatch,
+  removeWatch,
+  isWatching,
+  listWatchedAuctionIds,
+  listWatcherIds,
+  recordWatchAlerts,
+  listWatchAlerts
+};
@@ -0,0 +1,38 @@
+const { getMariaPool } = require('../db/mariadb');
+
+// 이미 발급된 표시가 있으면 그대로 쓰고, 없을 때만 새 표시를 저장한다.
+// 새 표시가 다른 구매의 표시와 겹쳐 저장되지 않았다면 null을 돌려준다.
+async function findOrCreateWatermark(userId, auctionId, marker) {
+  const pool = getMariaPool();
+  await pool.query(`INSERT IGNORE INTO download_watermarks (marker, user_id, auction_id) VALUES (?, ?, ?)`, [
+    marker,
+    userId,
+    auctionId
+  ]);
+  const [rows] = await pool.query(
+    `SELECT marker FROM download_watermarks WHERE user_id = ? AND auction_id = ? LIMIT 1`,
+    [userId, auctionId]
+  );
+  return rows[0] ? rows[0].marker : null;
+}
+
+async function findWatermarkByMarker(marker) {
+  const pool = getMariaPool();
+  const [rows] = await pool.query(
+    `SELECT w.marker, w.user_id, w.auction_id, w.created_at,
+            u.nickname, u.real_name, u.student_id, u.email,
+            COUNT(d.id) AS download_count, MAX(d.created_at) AS last_downloaded_at
+     FROM download_watermarks w
+     JOIN users u ON u.id = w.user_id
+     LEFT JOIN file_downloads d ON d.user_id = w.user_id AND d.auction_id = w.auction_id
+     WHERE w.marker = ?
+     GROUP BY w.id`,
+    [marker]
+  );
+  return rows[0] || null;
+}
+
+module.exports = {
+  findOrCreateWatermark,
+  findWatermarkByMarker
+};
@@ -5,7 +5,7 @@
       const feedback = document.querySelector('[data-start-price-feedback]');
       const minValue = Number(startPriceInput.getAttribute('min')) || 100;
       const stepValue = Number(startPriceInput.getAttribute('step')) || 100;
-      const invalidMessage = '시작가는 100원 단위의 숫자여야 합니다.';
+      const invalidMessage = `시작가는 ${stepValue.toLocaleString('ko-KR')}원 단위의 숫자여야 합니다.`;
 
       const toggleFeedback = (show, message) => {
         if (!feedback) {
@@ -112,6 +112,10 @@
       }
 
       auctionForm.addEventListener('submit', (event) => {
+        // 임시 저장은 입력이 덜 끝난 상태에서도 할 수 있어야 하므로 검증하지 않는다.
+        if (event.submitter && event.submitter.hasAttribute('data-save-draft')) {
+          return;
+        }
         if (!validateEndTime()) {
           event.preventDefault();
           if (endTimeInput) {
@@ -319,6 +323,37 @@
     }
     const socket = io();
 
+    // 관심 경매·저장한 검색 알림은 로그인한 사용자 본인에게만 전달되며, 어느 페이지에 있든 본문 상단에 표시한다.
+    const showUserAlert = function (payload) {
+      const container = document.querySelector('main.container');
+      if (!container) return;
+      const alert = document.createElement('div');
+      alert.className = 'alert alert-warning';
+      alert.setAttribute('role', 'status');
+      const message = document.createElement('p');
+      const link = document.createElement('a');
+      link.href = `/auctions/${payload.auctionId}`;
+      link.textContent = payload.title;
+      message.append(link, ` — ${payload.message}`);
+      alert.appendChild(message);
+      container.prepend(alert);
+    };
+    socket.on('watchlistAlert', showUserAlert);
+    socket.on('savedSearchMatch', showUserAlert);
+
+    const statusLabel = (status, closedLabel) => {
+      if (status === 'CLOSED') {
+        return closedLabel;
+      }
+      if (status === 'SCHEDULED') {
+        return '시작 예정';
+      }
+      if (status === 'CANCELLED') {
+        return '취소됨';
+      }
+      return '진행 중';
+    };
+
     const auctionDetail = document.querySelector('[data-auction-detail]');
     if (auctionDetail) {
       const auctionId = auctionDetail.getAttribute('data-auction-id');
@@ -326,6 +361,8 @@
       const bidCountEl = auctionDetail.querySelector('[data-bid-count]');
       const endTimeEl = auctionDetail.querySelector('[data-end-time]');
       const bidList = auctionDetail.querySelector('[data-bid-list]');
+      const bidsHiddenNotice = auctionDetail.querySelector('[data-bids-hidden-notice]');
+      const startTimeWrapper = auctionDetail.querySelector('[data-start-time-wrapper]');
       const statusBadge = auctionDetail.querySelector('.status-badge');
       const bidForm = auctionDetail.querySelector('[data-bid-form]');
       const downloadButton = auctionDetail.querySelector('[data-download-button]');
@@ -337,9 +374,15 @@
       const winnerMessage = auctionDetail.querySelector('[data-winner-message]');
       const sellerWinnerMessage = auctionDetail.querySelector('[data-seller-winner-message]');
       const sellerNoBidMessage = auctionDetail.querySelector('[data-seller-no-bid-message]');
+      const buyNowSection = auctionDetail.querySelector('[data-buy-now]');
+      const buyNowClosedMessage = auctionDetail.querySelector('[data-buy-now-closed-message]');
+      const reserveStatus = auctionDetail.querySelector('[data-reserve-status]');
+      const extensionNotice = auctionDetail.querySelector('[data-extension-notice]');
+      const extensionCount = auctionDetail.querySelector('[data-extension-count]');
+      const reserveNotMetMessage = auctionDetail.querySelector('[data-reserve-not-met-message]');
+      const cancelledMessage = auctionDetail.querySelector('[data-cancelled-message]');
       const currentUserId = auctionDetail.getAttribute('data-current-user-id');
       const sellerId = auctionDetail.getAttribute('data-seller-id');
-      let userHasBid = auctionDetail.getAttribute('data-user-has-bid') === 'true';
 
       if (downloadButton) {
         downloadButton.addEventListener('click', function (event) {
@@ -351,20 +394,97 @@
 
       socket.emit('joinAuction', auctionId);
 
+      // 서버와 같은 호가 단위표(data-bid-increments)로 최소 입찰가를 계산해 입력 검증을 맞춘다.
+      const bidIncrementTiers = bidForm ? JSON.parse(bidForm.getAttribute('data-bid-increments') || '[]') : [];
+      const bidUnit = bidForm ? Number(bidForm.getAttribute('data-bid-unit')) || 100 : 100;
+      const isSealedForm = bidForm ? bidForm.getAttribute('data-bid-sealed') === 'true' : false;
+      const bidAmountInput = bidForm ? bidForm.querySelector('input[name="amount"]') : null;
+      const maxAmountInput = bidForm ? bidForm.querySelector('input[name="maxAmount"]') : null;
+      const bidIncrementFor = function (price) {
+        const tier = bidIncrementTiers.find(function (entry) {
+          return entry.upTo === null || price < entry.upTo;
+        });
+        if (tier) return tier.increment;
+        return bidIncrementTiers.length ? bidIncrementTiers[bidIncrementTiers.length - 1].increment : bidUnit;
+      };
+      const updateBidMinimum = function (currentPrice) {
+        if (isSealedForm || !Number.isFinite(currentPrice)) return;
+        const minimum = currentPrice + bidIncrementFor(currentPrice);
+        if (bidAmountInput) bidAmountInput.setAttribute('min', minimum);
+        if (maxAmountInput) maxAmountInput.setAttribute('min', minimum);
+      };
+      if (bidAmountInput) {
+        bidAmountInput.addEventListener('input', function () {
+          const amount = Number(bidAmountInput.value);
+          const minimum = Number(bidAmountInput.getAttribute('min'));
+          if (!isSealedForm && Number.isFinite(amount) && amount < minimum) {
+            bidAmountInput.setCustomValidity(`입찰가는 ₩${minimum.toLocaleString('ko-KR')} 이상이어야 합니다.`);
+          } else if (Number.isFinite(amount) && amount % bidUnit !== 0) {
+            bidAmountInput.setCustomValidity(`입찰가는 ${bidUnit.toLocaleString('ko-KR')}원 단위여야 합니다.`);
+          } else {
+            bidAmountInput.setCustomValidity('');
+          }
+        });
+      }
+
+      const acceptSection = auctionDetail.querySelector('[data-accept-price]');
+      const acceptButton = auctionDetail.querySelector('[data-accept-price-button]');
+      const nextDropWrapper = auctionDetail.querySelector('[data-next-drop-wrapper]');
+      const nextDropEl = auctionDetail.querySelector('[data-next-drop-at]');
+
+      socket.on('priceUpdate', function (payload) {
+        if (payload.auctionId !== auctionId) return;
+        const formattedPrice = `₩${Number(payload.currentPrice).toLocaleString('ko-KR')}`;
+        if (priceEl) {
+          priceEl.textContent = formattedPrice;
+        }
+        if (acceptButton) {
+          acceptButton.textContent = `${formattedPrice}에 구매`;
+        }
+        if (nextDropWrapper) {
+          nextDropWrapper.classList.toggle('hidden', !payload.nextDropAt);
+        }
+        if (nextDropEl && payload.nextDropAt) {
+          const nextDrop = new Date(payload.nextDropAt);
+          nextDropEl.textContent = nextDrop.toLocaleString('ko-KR');
+          nextDropEl.setAttribute('datetime', nextDrop.toISOString());
+        }
+      });
+
+      socket.on('auctionExtended', function (payload) {
+        if (payload.auctionId !== auctionId) return;
+        if (endTimeEl && payload.endTime) {
+          const endDate = new Date(payload.endTime);
+          endTimeEl.textContent = endDate.toLocaleString('ko-KR');
+          endTimeEl.setAttribute('datetime', endDate.toISOString());
+        }
+        // 연장을 일으킨 입찰이 철회되면 연장이 되돌려지므로 남은 연장 횟수로 안내 표시를 정한다.
+        if (extensionNotice) {
+          extensionNotice.classList.toggle('hidden', !payload.totalExtensions);
+        }
+        if (extensionCount) {
+          extensionCount.textContent = payload.totalExtensions;
+        }
+      });
+
       socket.on('bidUpdate', function (payload) {
         if (payload.auctionId !== auctionId) return;
         if (priceEl) {
           priceEl.textContent = `₩${Number(payload.currentPrice).toLocaleString('ko-KR')}`;
         }
         if (bidCountEl) {
-          bidCountEl.textContent = payload.bids.length;
+          bidCountEl.textContent = typeof payload.bidCount === 'number' ? payload.bidCount : payload.bids.length;
         }
         if (endTimeEl && payload.endTime) {
           const endDate = new Date(payload.endTime);
           endTimeEl.textContent = endDate.toLocaleString('ko-KR');
           endTimeEl.setAttribute('datetime', endDate.toISOString());
         }
-        if (bidList) {
+        if (bidsHiddenNotice) {
+          bidsHiddenNotice.classList.toggle('hidden', !payload.bidsHidden);
+        }
+        updateBidMinimum(Number(payload.currentPrice));
+        if (bidList && !payload.bidsHidden) {
           bidList.innerHTML = '';
           payload.bids
             .slice()
@@ -372,7 +492,25 @@
             .forEach(function (bid) {
               const li = document.createElement('li');
               const nickname = document.createElement('span');
-              nickname.textContent = bid.bidderNickname;
+              nickname.textContent = bid.bidderAlias;
+              if (bid.isMine) {
+                const mineTag = document.createElement('small');
+                mineTag.className = 'muted';
+                mineTag.textContent = ' (나)';
+                nickname.appendChild(mineTag);
+              }
+              if (bid.bidderNickname) {
+                const identityTag = document.createElement('small');
+                identityTag.className = 'muted';
+                identityTag.textContent = ` [${bid.bidderNickname}]`;
+                nickname.appendChild(identityTag);
+              }
+              if (bid.isAuto) {
+                const autoTag = document.createElement('small');
+                autoTag.className = 'muted';
+                autoTag.textContent = ' (자동)';
+                nickname.appendChild(autoTag);
+              }
               const amount = document.createElement('span');
               amount.textContent = `₩${Number(bid.amount).toLocaleString('ko-KR')}`;
               const time = document.createElement('time');
@@ -384,13 +522,24 @@
             });
         }
         if (statusBadge && payload.status) {
-          statusBadge.textContent = payload.status === 'CLOSED' ? '종료됨' : '진행 중';
+          statusBadge.textContent = statusLabel(payload.status, '종료됨');
           statusBadge.classList.toggle('status-closed', payload.status === 'CLOSED');
-          statusBadge.classList.toggle('status-open', payload.status !== 'CLOSED');
+          statusBadge.classList.toggle('status-scheduled', payload.status === 'SCHEDULED');
+          statusBadge.classList.toggle('status-cancelled', payload.status === 'CANCELLED');
+          statusBadge.classList.toggle('status-open', payload.status === 'OPEN');
+        }
+        if (cancelledMessage && payload.status === 'CANCELLED') {
+          cancelledMessage.textContent = payload.cancelReason
+            ? `판매자가 경매를 취소했습니다. 사유: ${payload.cancelReason}`
+            : '판매자가 경매를 취소했습니다.';
+          cancelledMessage.classList.remove('hidden');
+        }
+        if (startTimeWrapper && payload.status !== 'SCHEDULED') {
+          startTimeWrapper.classList.add('hidden');
         }
         if (bidForm) {
           const submitButton = bidForm.querySelector('button[type="submit"]');
-          const shouldDisable = payload.status === 'CLOSED';
+          const shouldDisable = payload.status === 'CLOSED' || payload.status === 'CANCELLED';
           if (submitButton) {
             submitButton.disabled = shouldDisable;
           }
@@ -398,13 +547,8 @@
         }
         if (downloadButton) {
           const isClosed = payload.status === 'CLOSED';
-          if (payload.bids && currentUserId) {
-            userHasBid = userHasBid || payload.bids.some(function (bid) {
-              return String(bid.bidderId) === currentUserId;
-            });
-          }
           const isSeller = sellerId && currentUserId && sellerId === currentUserId;
-          const canDownload = isClosed && (isSeller || userHasBid);
+          const canDownload = isClosed && (isSeller || Boolean(payload.viewerIsWinner));
           if (canDownload) {
             downloadButton.classList.remove('is-disabled');
             downloadButton.dataset.downloadAvailable = 'true';
@@ -427,7 +571,7 @@
           if (payload.status === 'CLOSED') {
             winnerWrapper.classList.remove('hidden');
             if (winnerName) {
-              winnerName.textContent = payload.winnerNickname || '낙찰자 없음';
+              winnerName.textContent = payload.winnerNickname || payload.winnerAlias || '낙찰자 없음';
             }
           } else {
             winnerWrapper.classList.add('hidden');
@@ -447,7 +591,7 @@
           }
         }
         if (winnerMessage) {
-          const isWinner = currentUserId && payload.winnerId && String(payload.winnerId) === currentUserId;
+          const isWinner = Boolean(payload.viewerIsWinner);
           if (payload.status === 'CLOSED' && isWinner) {
             winnerMessage.classList.remove('hidden');
           } else {
@@ -456,7 +600,7 @@
         }
         if (sellerWinnerMessage) {
           const isSeller = sellerId && currentUserId && sellerId === currentUserId;
-          if (payload.status === 'CLOSED' && isSeller && payload.winnerNickname) {
+          if (payload.status === 'CLOSED' && isSeller && payload.winnerAlias) {
             sellerWinnerMessage.classList.remove('hidden');
           } else {
             sellerWinnerMessage.classList.add('hidden');
@@ -464,12 +608,33 @@
         }
         if (sellerNoBidMessage) {
           const isSeller = sellerId && currentUserId && sellerId === currentUserId;
-          if (payload.status === 'CLOSED' && isSeller && !payload.winnerNickname) {
+          if (payload.status === 'CLOSED' && isSeller && !payload.winnerAlias) {
             sellerNoBidMessage.classList.remove('hidden');
           } else {
             sellerNoBidMessage.classList.add('hidden');
           }
         }
+        if (acceptSection && payload.status !== 'OPEN') {
+          acceptSection.classList.add('hidden');
+        }
+        if (buyNowSection && !payload.buyNowAvailable) {
+          buyNowSection.classList.add('hidden');
+        }
+        if (reserveStatus && payload.hasReserve) {
+          reserveStatus.textContent = payload.reserveMet ? '충족' : '미충족';
+        }
+        if (reserveNotMetMessage) {
+          reserveNotMetMessage.classList.toggle(
+            'hidden',
+            !(payload.status === 'CLOSED' && payload.result === 'RESERVE_NOT_MET')
+          );
+        }
+        if (buyNowClosedMessage) {
+          buyNowClosedMessage.classList.toggle(
+            'hidden',
+            !(payload.status === 'CLOSED' && payload.closeReason === 'BUY_NOW')
+          );
+        }
       });
     }
 
@@ -485,7 +650,9 @@
         if (priceEl) {
           priceEl.textContent = `₩${Number(payload.currentPrice).toLocaleString('ko-KR')}`;
         }
-        if (bidCountEl && payload.bids) {
+        if (bidCountEl && typeof payload.bidCount === 'number') {
+          bidCountEl.textContent = payload.bidCount;
+        } else if (bidCountEl && payload.bids) {
           bidCountEl.textContent = payload.bids.length;
         }
         if (timeEl && payload.endTime) {
@@ -494,10 +661,13 @@
           timeEl.setAttribute('datetime', endDate.toISOString());
         }
         if (statusBadge && payload.status) {
-          statusBadge.textContent = payload.status === 'CLOSED' ? '종료' : '진행 중';
+          statusBadge.textContent = statusLabel(payload.status, '종료');
           statusBadge.classList.toggle('status-closed', payload.status === 'CLOSED');
-          statusBadge.classList.toggle('status-open', payload.status !== 'CLOSED');
+          statusBadge.classList.toggle('status-scheduled', payload.status === 'SCHEDULED');
+          statusBadge.classList.toggle('status-cancelled', payload.status === 'CANCELLED');
+          statusBadge.classList.toggle('status-open', payload.status === 'OPEN');
           card.classList.toggle('auction-card--closed', payload.status === 'CLOSED');
+          card.classList.toggle('auction-card--scheduled', payload.status === 'SCHEDULED');
         }
       });
     }
@@ -2,6 +2,7 @@ const express = require('express');
 const { body, query, validationResult } = require('express-validator');
 const { ensureAdmin } = require('../middleware/auth');
 const store = require('../services/adminApiStore');
+const { normalizeBidIncrementTiers } = require('../services/auctionService');
 
 const router = express.Router();
 
@@ -16,6 +17,14 @@ function hasValidationErrors(req, res) {
   return false;
 }
 
+// 경매 동작에 쓰이는 설정은 저장하기 전에 형식을 검사한다. 잘못된 값이 저장되면 기본값으로 조용히 돌아가기 때문이다.
+function validateSettingValue(key, value) {
+  if (key === 'bidIncrementTiers') {
+    normalizeBidIncrementTiers(value);
+  }
+  return true;
+}
+
 store.seedStore();
 
 /**
@@ -838,7 +847,10 @@ router.post('/announcements/:id/publish', (req, res) => {
  */
 router.post(
   '/settings',
-  [body('key').isString().notEmpty(), body('value').exists()],
+  [
+    body('key').isString().notEmpty(),
+    body('value').exists().custom((value, { req }) => validateSettingValue(req.body.key, value))
+  ],
   (req, res) => {
     if (hasValidationErrors(req, res)) {
       return;
@@ -1511,7 +1523,7 @@ router.put(
  */
 router.put(
   '/settings/:key',
-  [body('value').exists()],
+  [body('value').exists().custom((value, { req }) => validateSettingValue(req.params.key, value))],
   (req, res) => {
     if (hasValidationErrors(req, res)) {
       return;
@@ -1,11 +1,47 @@
 const express = require('express');
+const multer = require('multer');
 const { ensureAdmin } = require('../middleware/auth');
 const { listUsers, findUserById } = require('../models/userModel');
+const { listFrequentRetractors, listRecentRetractions } = require('../models/bidLogModel');
 const { getMariaPool } = require('../db/mariadb');
 const { initMongo } = require('../db/mongo');
+const {
+  listCourses,
+  groupCoursesByDepartment,
+  saveCourse,
+  deleteCourse,
+  importCoursesFromCsv
+} = require('../services/courseService');
+const { traceLeakedFile } = require('../services/watermarkService');
 
 const router = express.Router();
 
+// 과목 목록 CSV는 디스크에 남길 필요가 없으므로 메모리에서 바로 읽는다.
+const csvUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    if (!/\.csv$/i.test(file.originalname)) {
+      return cb(Object.assign(new Error('CSV 파일만 업로드할 수 있습니다.'), { status: 400 }));
+    }
+    cb(null, true);
+  }
+});
+
+// 유출 추적용 파일은 표시만 읽고 버리므로 디스크에 남기지 않는다.
+const traceUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 50 * 1024 * 1024 }
+});
+
+function respondCourseError(req, res, error) {
+  if (req.xhr || (req.headers.accept && req.headers.accept.includes('application/json'))) {
+    return res.status(error.status).json({ message: error.message });
+  }
+  req.flash('error', error.message);
+  return res.redirect('/admin/courses');
+}
+
 /**
  * @swagger
  * tags:
@@ -60,6 +96,258 @@ router.get('/users/:id', ensureAdmin, async (req, res, next) => {
   }
 });
 
+/**
+ * @swagger
+ * /admin/retractions:
+ *   get:
+ *     summary: Review bid retractions and bidders who retract repeatedly (admin only)
+ *     tags: [Admin]
+ *     parameters:
+ *       - in: query
+ *         name: days
+ *         schema:
+ *           type: integer
+ *         description: Look-back window in days (default 30)
+ *       - in: query
+ *         name: minCount
+ *         schema:
+ *           type: integer
+ *         description: Minimum retractions to be listed as a repeat retractor (default 2)
+ *     responses:
+ *       200:
+ *         description: Retraction report
+ */
+router.get('/retractions', ensureAdmin, async (req, res, next) => {
+  try {
+    const days = Math.max(parseInt(req.query.days || '30', 10) || 30, 1);
+    const minCount = Math.max(parseInt(req.query.minCount || '2', 10) || 2, 1);
+    const [frequentRetractors, recentRetractions] = await Promise.all([
+      listFrequentRetractors({ days, minCount }),
+      listRecentRetractions(50)
+    ]);
+    res.render('admin/retractions', { frequentRetractors, recentRetractions, days, minCount });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /admin/courses:
+ *   get:
+ *     summary: Manage the course catalog used to tag listings (admin only)
+ *     tags: [Admin]
+ *     responses:
+ *       200:
+ *         description: Course catalog grouped by department
+ */
+router.get('/courses', ensureAdmin, async (req, res, next) => {
+  try {
+    const courses = await listCourses();
+    res.format({
+      html: () => res.render('admin/courses', { courseGroups: groupCoursesByDepartment(courses), total: courses.length }),
+      json: () => res.json({ courses })
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /admin/courses:
+ *   post:
+ *     summary: Add a course, or update it when the course code already exists (admin only)
+ *     tags: [Admin]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/x-www-form-urlencoded:
+ *           schema:
+ *             type: object
+ *             required: [department, code, name]
+ *             properties:
+ *               department:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *               name:
+ *                 type: string
+ *               professors:
+ *                 type: string
+ *                 description: Comma-separated professor names, merged into the existing list
+ *     responses:
+ *       201:
+ *         description: Course saved
+ */
+router.post('/courses', ensureAdmin, async (req, res, next) => {
+  try {
+    const course = await saveCourse({
+      department: req.body.department,
+      code: req.body.code,
+      name: req.body.name,
+      professors: String(req.body.professors || '').split(',')
+    });
+    req.flash('success', `${course.code} ${course.name} 과목을 저장했습니다.`);
+    return res.status(201).format({
+      html: () => res.redirect('/admin/courses'),
+      json: () => res.json({ message: 'Course saved', course })
+    });
+  } catch (error) {
+    if (error.status) {
+      return respondCourseError(req, res, error);
+    }
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /admin/courses/import:
+ *   post:
+ *     summary: Import courses from a CSV file (admin only)
+ *     description: >
+ *       The first row must be a header with department, code and name columns (professor is optional;
+ *       Korean headers such as 학과, 과목코드, 과목명, 교수 are also accepted). Existing course codes are updated.
+ *     tags: [Admin]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *     responses:
+ *       200:
+ *         description: Number of imported courses and rows that were skipped
+ */
+router.post('/courses/import', ensureAdmin, (req, res, next) => {
+  csvUpload.single('file')(req, res, async (uploadError) => {
+    try {
+      if (uploadError) {
+        throw Object.assign(uploadError, { status: uploadError.status || 400 });
+      }
+      if (!req.file) {
+        throw Object.assign(new Error('가져올 CSV 파일을 선택하세요.'), { status: 400 });
+      }
+      const { imported, errors } = await importCoursesFromCsv(req.file.buffer.toString('utf8'));
+      req.flash('success', `과목 ${imported}개를 가져왔습니다.`);
+      errors.forEach((error) => req.flash('warning', `${error.line}번째 줄: ${error.message}`));
+      return res.format({
+        html: () => res.redirect('/admin/courses'),
+        json: () => res.json({ imported, errors })
+      });
+    } catch (error) {
+      if (error.status) {
+        return respondCourseError(req, res, error);
+      }
+      next(error);
+    }
+  });
+});
+
+/**
+ * @swagger
+ * /admin/courses/{id}/delete:
+ *   post:
+ *     summary: Remove a course from the catalog; existing listings keep their course details (admin only)
+ *     tags: [Admin]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Course removed
+ */
+router.post('/courses/:id/delete', ensureAdmin, async (req, res, next) => {
+  try {
+    const course = await deleteCourse(req.params.id);
+    req.flash('success', `${course.code} ${course.name} 과목을 삭제했습니다.`);
+    return res.format({
+      html: () => res.redirect('/admin/courses'),
+      json: () => res.json({ message: 'Course deleted' })
+    });
+  } catch (error) {
+    if (error.status) {
+      return respondCourseError(req, res, error);
+    }
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /admin/watermarks:
+ *   get:
+ *     summary: Leak trace tool for buyer-watermarked downloads (admin only)
+ *     tags: [Admin]
+ *     responses:
+ *       200:
+ *         description: Upload form for a leaked file or a typed buyer marker
+ */
+router.get('/watermarks', ensureAdmin, (req, res) => {
+  res.render('admin/watermarks', { trace: null });
+});
+
+/**
+ * @swagger
+ * /admin/watermarks/trace:
+ *   post:
+ *     summary: Read the buyer marker from a leaked file and find the purchase it came from (admin only)
+ *     description: >
+ *       Reads the hidden marker (PDF metadata or hidden text, image EXIF or pixel marker). When the hidden
+ *       marker was stripped, the visible marker printed on the copy (e.g. JT-0123456789ab) can be typed instead.
+ *     tags: [Admin]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *               marker:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Buyer, auction and download history for the marker
+ *       404:
+ *         description: No marker found in the file, or no purchase matches it
+ */
+router.post('/watermarks/trace', ensureAdmin, (req, res, next) => {
+  traceUpload.single('file')(req, res, async (uploadError) => {
+    try {
+      if (uploadError) {
+        throw Object.assign(uploadError, { status: uploadError.status || 400 });
+      }
+      const trace = await traceLeakedFile({
+        buffer: req.file ? req.file.buffer : null,
+        marker: req.body.marker || ''
+      });
+      return res.format({
+        html: () => res.render('admin/watermarks', { trace }),
+        json: () => res.json({ trace })
+      });
+    } catch (error) {
+      if (error.status) {
+        if (req.xhr || (req.headers.accept && req.headers.accept.includes('application/json'))) {
+          return res.status(error.status).json({ message: error.message });
+        }
+        req.flash('error', error.message);
+        return res.redirect('/admin/watermarks');
+      }
+      next(error);
+    }
+  });
+});
+
 function extractMongoFields(document, prefix = '') {
   if (!document || typeof document !== 'object') {
     return [];
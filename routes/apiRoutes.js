@@ -1,6 +1,17 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
-const { listAuctions, getAuctionById, placeBid, closeExpiredAuctions } = require('../services/auctionService');
+const {
+  listAuctions,
+  getAuctionById,
+  placeBid,
+  buyNow,
+  acceptDutchPrice,
+  getDutchPriceState,
+  getBidIncrementTiers,
+  getBidUnit
+} = require('../services/auctionService');
+const { normalizeAuctionSearch } = require('../services/auctionSearch');
+const { serializeAuction, serializeAuctions, serializeReview } = require('../services/auctionSerializer');
 const { recordReputation } = require('../models/userModel');
 const { ensureAuthenticated } = require('../middleware/auth');
 
@@ -28,21 +39,107 @@ const router = express.Router();
  *         name: limit
  *         schema:
  *           type: integer
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [SCHEDULED, OPEN, CLOSED]
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *         description: Keywords matched against title and description (every word must appear; Korean partial matches supported)
+ *       - in: query
+ *         name: minPrice
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: maxPrice
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: endingWithinHours
+ *         schema:
+ *           type: number
+ *         description: Only auctions ending within this many hours
+ *       - in: query
+ *         name: hasBids
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: minReputation
+ *         schema:
+ *           type: number
+ *         description: Minimum seller reputation score (0-5)
+ *       - in: query
+ *         name: department
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: courseCode
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: courseName
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: professor
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: year
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: term
+ *         schema:
+ *           type: string
+ *           enum: [SPRING, SUMMER, FALL, WINTER]
+ *       - in: query
+ *         name: materialType
+ *         schema:
+ *           type: string
+ *           enum: [EXAM, NOTES, ASSIGNMENT_SOLUTION]
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [endingSoon, newest, priceAsc, priceDesc, mostBids]
  *     responses:
  *       200:
- *         description: Auction list JSON
+ *         description: >
+ *           Auction list JSON with the normalized filters that were applied. Each item is serialized for the
+ *           signed-in viewer (public, participant, seller or admin view); server paths and account IDs are never included.
  */
 router.get('/auctions', async (req, res, next) => {
   try {
     const page = parseInt(req.query.page || '1', 10);
     const limit = parseInt(req.query.limit || '20', 10);
-    const { items, total, pages } = await listAuctions({ page, limit });
-    res.json({ page, pages, total, items });
+    const search = normalizeAuctionSearch(req.query);
+    const status = ['SCHEDULED', 'OPEN', 'CLOSED'].includes(req.query.status) ? req.query.status : undefined;
+    const { items, total, pages } = await listAuctions({ page, limit, status, search });
+    res.json({ page, pages, total, filters: search, items: serializeAuctions(items, req.session.user) });
   } catch (error) {
     next(error);
   }
 });
 
+/**
+ * @swagger
+ * /api/bid-increments:
+ *   get:
+ *     summary: Retrieve the bid increment tiers used to validate bids
+ *     tags: [API]
+ *     responses:
+ *       200:
+ *         description: Increment tiers sorted by upper bound (null means no upper bound) and the base bid unit
+ */
+router.get('/bid-increments', (req, res) => {
+  const tiers = getBidIncrementTiers();
+  res.json({ tiers, unit: getBidUnit(tiers) });
+});
+
 /**
  * @swagger
  * /api/auctions/{id}:
@@ -56,16 +153,19 @@ router.get('/auctions', async (req, res, next) => {
  *           type: string
  *     responses:
  *       200:
- *         description: Auction detail JSON
+ *         description: >
+ *           Auction detail JSON serialized for the viewer's role (public, participant, seller or admin).
+ *           Bidders appear only as per-auction aliases (bidderAlias, winnerAlias); `viewer` tells the
+ *           signed-in user their role, their own alias and whether they bid or won.
  */
 router.get('/auctions/:id', async (req, res, next) => {
   try {
-    await closeExpiredAuctions();
     const auction = await getAuctionById(req.params.id);
-    if (!auction) {
+    if (!auction || auction.status === 'DRAFT') {
       return res.status(404).json({ message: 'Auction not found' });
     }
-    res.json(auction);
+    auction.currentPrice = getDutchPriceState(auction).currentPrice;
+    res.json(serializeAuction(auction, req.session.user));
   } catch (error) {
     next(error);
   }
@@ -92,14 +192,19 @@ router.get('/auctions/:id', async (req, res, next) => {
  *             properties:
  *               amount:
  *                 type: number
+ *               maxAmount:
+ *                 type: number
+ *                 description: Private maximum for automatic (proxy) bidding
  *     responses:
  *       200:
  *         description: Bid success
+ *       409:
+ *         description: Outbid by a concurrent bid, or too many concurrent bids to apply
  */
 router.post(
   '/auctions/:id/bids',
   ensureAuthenticated,
-  [body('amount').isFloat({ gt: 0 })],
+  [body('amount').isFloat({ gt: 0 }), body('maxAmount').optional({ values: 'falsy' }).isFloat({ gt: 0 })],
   async (req, res, next) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -110,15 +215,72 @@ router.post(
         auctionId: req.params.id,
         bidderId: req.session.user.id,
         bidderNickname: req.session.user.nickname,
-        amount: Number(req.body.amount)
+        amount: Number(req.body.amount),
+        maxAmount: req.body.maxAmount ? Number(req.body.maxAmount) : null
       });
-      res.json({ message: 'Bid placed', auction });
+      res.json({ message: 'Bid placed', auction: serializeAuction(auction, req.session.user) });
     } catch (error) {
       next(error);
     }
   }
 );
 
+/**
+ * @swagger
+ * /api/auctions/{id}/accept:
+ *   post:
+ *     summary: Accept the current price of a descending-price (DUTCH) auction via API
+ *     tags: [API]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Price accepted and auction closed
+ */
+router.post('/auctions/:id/accept', ensureAuthenticated, async (req, res, next) => {
+  try {
+    const auction = await acceptDutchPrice({
+      auctionId: req.params.id,
+      buyerId: req.session.user.id,
+      buyerNickname: req.session.user.nickname
+    });
+    res.json({ message: 'Price accepted', auction: serializeAuction(auction, req.session.user) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/auctions/{id}/buy-now:
+ *   post:
+ *     summary: Buy an auction at its buy-now price via API
+ *     tags: [API]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Auction purchased and closed
+ */
+router.post('/auctions/:id/buy-now', ensureAuthenticated, async (req, res, next) => {
+  try {
+    const auction = await buyNow({
+      auctionId: req.params.id,
+      buyerId: req.session.user.id,
+      buyerNickname: req.session.user.nickname
+    });
+    res.json({ message: 'Auction bought', auction: serializeAuction(auction, req.session.user) });
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * @swagger
  * /api/auctions/{id}/rate:
@@ -228,7 +390,7 @@ router.post(
       await auction.save();
       res.json({
         message: 'Rating saved',
-        review: reviewPayload
+        review: serializeReview(auction, reviewPayload, req.session.user)
       });
     } catch (error) {
       next(error);
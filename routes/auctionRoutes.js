@@ -10,14 +10,61 @@ const { ensureAuthenticated } = require('../middleware/auth');
 const {
   listAuctions,
   createAuction,
+  isAuctionEditable,
+  updateAuction,
+  findDraftForSeller,
+  saveDraft,
+  publishDraft,
+  deleteDraft,
   getAuctionById,
+  getSoftCloseRules,
+  getBidIncrementTiers,
+  getBidUnit,
+  getMinimumBid,
   placeBid,
-  closeExpiredAuctions,
+  buyNow,
+  isBuyNowAvailable,
+  acceptDutchPrice,
+  getDutchPriceState,
+  getProxyBidForUser,
+  relistAuction,
+  getRelistHistory,
+  cancelAuction,
+  canRetractBid,
+  retractBid,
+  markWinnerDefaulted,
+  respondToSecondChanceOffer,
   listUserAuctions,
-  listUserNotifications
+  listUserNotifications,
+  deleteAuctionFile
 } = require('../services/auctionService');
 const { findUserById, recordReputation } = require('../models/userModel');
 const { listBidLogs } = require('../models/bidLogModel');
+const { isWatching, listWatchedAuctionIds } = require('../models/watchlistModel');
+const { watchAuction, unwatchAuction, listWatchedAuctions } = require('../services/watchlistService');
+const { normalizeAuctionSearch, buildSearchQueryString } = require('../services/auctionSearch');
+const { saveSearch, listUserSavedSearches, removeSavedSearch } = require('../services/savedSearchService');
+const { serializeAuction, serializeReview } = require('../services/auctionSerializer');
+const {
+  UPLOAD_DIR,
+  canDownloadAuctionFile,
+  assertDownloadAllowed,
+  getDownloadStatus,
+  createDownloadLink,
+  verifyDownloadLink,
+  resolveAuctionFile,
+  beginDownload
+} = require('../services/fileDownloadService');
+const { generatePreviews, resolvePreviewPath } = require('../services/previewService');
+const { prepareDownloadCopy } = require('../services/watermarkService');
+const {
+  MATERIAL_TYPES,
+  SEMESTER_TERMS,
+  listCourses,
+  listDepartments,
+  groupCoursesByDepartment,
+  listCourseDirectory
+} = require('../services/courseService');
 
 const router = express.Router();
 
@@ -29,6 +76,17 @@ function respondAuctionNotFound(req, res) {
   return res.status(404).render('error', { error });
 }
 
+// 등록·임시 저장 폼에서 과목을 학과별로 묶어 고를 수 있도록 과목 목록을 함께 넘긴다.
+async function loadAuctionFormOptions() {
+  return {
+    courseGroups: groupCoursesByDepartment(await listCourses()),
+    materialTypes: MATERIAL_TYPES,
+    semesterTerms: SEMESTER_TERMS,
+    softCloseRules: getSoftCloseRules(),
+    bidUnit: getBidUnit()
+  };
+}
+
 function ensureValidAuctionId(req, res, next) {
   if (!ObjectId.isValid(req.params.id)) {
     return respondAuctionNotFound(req, res);
@@ -36,14 +94,13 @@ function ensureValidAuctionId(req, res, next) {
   return next();
 }
 
-const uploadDir = path.join(__dirname, '..', 'public', 'uploads');
-if (!fs.existsSync(uploadDir)) {
-  fs.mkdirSync(uploadDir, { recursive: true });
+if (!fs.existsSync(UPLOAD_DIR)) {
+  fs.mkdirSync(UPLOAD_DIR, { recursive: true });
 }
 
 const storage = multer.diskStorage({
   destination: function (req, file, cb) {
-    cb(null, uploadDir);
+    cb(null, UPLOAD_DIR);
   },
   filename: function (req, file, cb) {
     const unique = Date.now() + '-' + Math.round(Math.random() * 1e9);
@@ -62,6 +119,14 @@ const upload = multer({
   }
 });
 
+// 원본 대신 보여 줄 워터마크 미리보기를 만들어 업로드 파일에 붙인다. 미리보기 생성은 무거우므로
+// 각 라우트에서 입력 검증을 통과한 뒤에 호출한다.
+async function attachPreviews(file) {
+  if (file) {
+    file.previewPaths = await generatePreviews(file);
+  }
+}
+
 /**
  * @swagger
  * tags:
@@ -84,27 +149,124 @@ const upload = multer({
  *         name: limit
  *         schema:
  *           type: integer
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *         description: Keywords matched against title and description (every word must appear; Korean partial matches supported)
+ *       - in: query
+ *         name: minPrice
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: maxPrice
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: endingWithinHours
+ *         schema:
+ *           type: number
+ *         description: Only auctions ending within this many hours
+ *       - in: query
+ *         name: hasBids
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: minReputation
+ *         schema:
+ *           type: number
+ *         description: Minimum seller reputation score (0-5)
+ *       - in: query
+ *         name: department
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: courseCode
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: courseName
+ *         schema:
+ *           type: string
+ *         description: Partial match against the course name
+ *       - in: query
+ *         name: professor
+ *         schema:
+ *           type: string
+ *         description: Partial match against the professor name
+ *       - in: query
+ *         name: year
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: term
+ *         schema:
+ *           type: string
+ *           enum: [SPRING, SUMMER, FALL, WINTER]
+ *       - in: query
+ *         name: materialType
+ *         schema:
+ *           type: string
+ *           enum: [EXAM, NOTES, ASSIGNMENT_SOLUTION]
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [endingSoon, newest, priceAsc, priceDesc, mostBids]
  *     responses:
  *       200:
  *         description: Auction list page
  */
 router.get('/', async (req, res, next) => {
   try {
-    await closeExpiredAuctions();
     const page = parseInt(req.query.page || '1', 10);
-    const [openResult, closedResult] = await Promise.all([
-      listAuctions({ page, limit: 20, status: 'OPEN' }),
-      listAuctions({ page, limit: 20, status: 'CLOSED' })
+    const currentUser = req.session.user;
+    const search = normalizeAuctionSearch(req.query);
+    const [scheduledResult, openResult, closedResult, watchedAuctionIds, departments] = await Promise.all([
+      listAuctions({ page: 1, limit: 20, status: 'SCHEDULED', search }),
+      listAuctions({ page, limit: 20, status: 'OPEN', search }),
+      listAuctions({ page, limit: 20, status: 'CLOSED', search }),
+      currentUser ? listWatchedAuctionIds(currentUser.id) : [],
+      listDepartments()
     ]);
 
     res.render('auctions/index', {
+      scheduledAuctions: scheduledResult.items,
       openAuctions: openResult.items,
       closedAuctions: closedResult.items,
       openTotal: openResult.total,
       openPages: openResult.pages,
       closedTotal: closedResult.total,
       closedPages: closedResult.pages,
-      currentPage: page
+      currentPage: page,
+      watchedAuctionIds,
+      search,
+      searchQueryString: buildSearchQueryString(search),
+      departments,
+      materialTypes: MATERIAL_TYPES,
+      semesterTerms: SEMESTER_TERMS
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /auctions/browse:
+ *   get:
+ *     summary: Browse scheduled and open listings grouped by department and course
+ *     tags: [Auctions]
+ *     responses:
+ *       200:
+ *         description: Course directory with active listing counts
+ */
+router.get('/browse', async (req, res, next) => {
+  try {
+    const departments = await listCourseDirectory();
+    res.format({
+      html: () => res.render('auctions/browse', { departments }),
+      json: () => res.json({ departments })
     });
   } catch (error) {
     next(error);
@@ -121,8 +283,12 @@ router.get('/', async (req, res, next) => {
  *       200:
  *         description: HTML form
  */
-router.get('/new', ensureAuthenticated, (req, res) => {
-  res.render('auctions/new');
+router.get('/new', ensureAuthenticated, async (req, res, next) => {
+  try {
+    res.render('auctions/new', await loadAuctionFormOptions());
+  } catch (error) {
+    next(error);
+  }
 });
 
 /**
@@ -132,119 +298,1157 @@ router.get('/new', ensureAuthenticated, (req, res) => {
  *     summary: Create a new auction
  *     tags: [Auctions]
  *     requestBody:
- *       required: true
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required: [title, description, startPrice, endTime, file]
+ *             properties:
+ *               title:
+ *                 type: string
+ *               type:
+ *                 type: string
+ *                 enum: [ENGLISH, SEALED, DUTCH]
+ *                 description: ENGLISH (open ascending), SEALED (hidden second-price bids) or DUTCH (descending price)
+ *               floorPrice:
+ *                 type: number
+ *                 description: Lowest price a DUTCH auction drops to
+ *               priceDropAmount:
+ *                 type: number
+ *                 description: Amount a DUTCH auction's price drops per interval
+ *               priceDropIntervalMinutes:
+ *                 type: integer
+ *                 description: Minutes between DUTCH price drops
+ *               description:
+ *                 type: string
+ *               startPrice:
+ *                 type: number
+ *               buyNowPrice:
+ *                 type: number
+ *                 description: Optional fixed price that closes the auction immediately
+ *               reservePrice:
+ *                 type: number
+ *                 description: Optional hidden minimum price required for the auction to sell
+ *               startTime:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Optional future start; the auction stays SCHEDULED until then
+ *               endTime:
+ *                 type: string
+ *                 format: date-time
+ *               softCloseWindowMinutes:
+ *                 type: integer
+ *                 description: Bids within this many minutes of the end extend the auction (0 disables)
+ *               softCloseExtensionMinutes:
+ *                 type: integer
+ *                 description: Minutes added per extension
+ *               softCloseMaxExtensionMinutes:
+ *                 type: integer
+ *                 description: Cap on the total extension time
+ *               courseId:
+ *                 type: string
+ *                 description: Optional course from the admin-managed catalog; requires materialType
+ *               professor:
+ *                 type: string
+ *               semesterYear:
+ *                 type: integer
+ *               semesterTerm:
+ *                 type: string
+ *                 enum: [SPRING, SUMMER, FALL, WINTER]
+ *               materialType:
+ *                 type: string
+ *                 enum: [EXAM, NOTES, ASSIGNMENT_SOLUTION]
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *     responses:
+ *       201:
+ *         description: Auction created
+ */
+router.post(
+  '/',
+  ensureAuthenticated,
+  upload.single('file'),
+  [
+    body('title').notEmpty().withMessage('제목은 필수입니다.'),
+    body('description').notEmpty().withMessage('설명은 필수입니다.'),
+    body('startPrice').isFloat({ gt: 0 }).withMessage('시작가는 0보다 커야 합니다.'),
+    body('buyNowPrice')
+      .optional({ values: 'falsy' })
+      .isFloat({ gt: 0 })
+      .withMessage('즉시 구매가는 0보다 커야 합니다.'),
+    body('reservePrice')
+      .optional({ values: 'falsy' })
+      .isFloat({ gt: 0 })
+      .withMessage('최저 낙찰가는 0보다 커야 합니다.'),
+    body('endTime').notEmpty().withMessage('마감 시간을 입력하세요.')
+  ],
+  async (req, res, next) => {
+    let auction = null;
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        errors.array().forEach((e) => req.flash('error', e.msg));
+        return res.status(400).format({
+          html: () => res.redirect('/auctions/new'),
+          json: () => res.json({ errors: errors.array() })
+        });
+      }
+      if (!req.file) {
+        req.flash('error', '파일은 필수입니다.');
+        return res.status(400).format({
+          html: () => res.redirect('/auctions/new'),
+          json: () => res.json({ message: 'File is required' })
+        });
+      }
+      const { title, type, description, startPrice, buyNowPrice, reservePrice, startTime, endTime } = req.body;
+      const seller = req.session.user;
+      const parsedEndTime = new Date(endTime);
+      if (Number.isNaN(parsedEndTime.getTime())) {
+        throw Object.assign(new Error('유효한 종료 시간을 입력하세요.'), { status: 400 });
+      }
+      if (parsedEndTime <= new Date()) {
+        const message = '마감 시간은 현재 시각 이후여야 합니다.';
+        if (req.xhr || (req.headers.accept && req.headers.accept.includes('application/json'))) {
+          return res.status(400).json({ message });
+        }
+        req.flash('warning', message);
+        return res.redirect('/auctions/new');
+      }
+      const numericPrice = Number(startPrice);
+      if (!Number.isFinite(numericPrice) || numericPrice <= 0) {
+        throw Object.assign(new Error('시작가는 0보다 커야 합니다.'), { status: 400 });
+      }
+      await attachPreviews(req.file);
+      auction = await createAuction({
+        title,
+        type,
+        description,
+        startPrice: numericPrice,
+        buyNowPrice: buyNowPrice ? Number(buyNowPrice) : null,
+        reservePrice: reservePrice ? Number(reservePrice) : null,
+        startTime: startTime || null,
+        endTime: parsedEndTime,
+        softClose: {
+          windowMinutes: req.body.softCloseWindowMinutes,
+          extensionMinutes: req.body.softCloseExtensionMinutes,
+          maxExtensionMinutes: req.body.softCloseMaxExtensionMinutes
+        },
+        dutchSchedule: {
+          floorPrice: req.body.floorPrice,
+          dropAmount: req.body.priceDropAmount,
+          intervalMinutes: req.body.priceDropIntervalMinutes
+        },
+        academic: {
+          courseId: req.body.courseId,
+          professor: req.body.professor,
+          year: req.body.semesterYear,
+          term: req.body.semesterTerm,
+          materialType: req.body.materialType
+        },
+        sellerId: seller.id,
+        sellerNickname: seller.nickname,
+        file: req.file
+      });
+      req.flash('success', '경매가 생성되었습니다.');
+      return res.status(201).format({
+        html: () => res.redirect(`/auctions/${auction.id}`),
+        json: () => res.json({ message: 'Auction created', auction: serializeAuction(auction, req.session.user) })
+      });
+    } catch (error) {
+      next(error);
+    } finally {
+      // 어느 단계에서든 경매가 만들어지지 않았다면 올린 파일과 미리보기가 남지 않게 지운다.
+      // 정리에 실패해도 이미 보낸 응답에는 영향이 없으므로 기록만 한다.
+      if (!auction && req.file) {
+        await deleteAuctionFile(req.file.path, req.file.previewPaths).catch((cleanupError) =>
+          console.error('업로드 파일 정리 실패:', cleanupError)
+        );
+      }
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /auctions/drafts:
+ *   post:
+ *     summary: Save the auction form as a draft without validating it
+ *     tags: [Auctions]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required: [title]
+ *             description: Same fields as POST /auctions; only the title is required
+ *     responses:
+ *       201:
+ *         description: Draft saved
+ */
+router.post('/drafts', ensureAuthenticated, upload.single('file'), async (req, res, next) => {
+  try {
+    await attachPreviews(req.file);
+    const seller = req.session.user;
+    const draft = await saveDraft({
+      sellerId: seller.id,
+      sellerNickname: seller.nickname,
+      input: req.body,
+      file: req.file
+    });
+    req.flash('success', '경매를 임시 저장했습니다.');
+    return res.status(201).format({
+      html: () => res.redirect(`/auctions/${draft.id}/draft`),
+      json: () => res.json({ message: 'Draft saved', auction: serializeAuction(draft, req.session.user) })
+    });
+  } catch (error) {
+    if (error.status) {
+      if (req.xhr || (req.headers.accept && req.headers.accept.includes('application/json'))) {
+        return res.status(error.status).json({ message: error.message });
+      }
+      req.flash('error', error.message);
+      return res.redirect('/auctions/new');
+    }
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /auctions/{id}/draft:
+ *   get:
+ *     summary: Continue editing a saved draft (seller only)
+ *     tags: [Auctions]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: HTML form pre-filled with the draft
+ */
+router.get('/:id/draft', ensureAuthenticated, ensureValidAuctionId, async (req, res, next) => {
+  try {
+    const draft = await findDraftForSeller(req.params.id, req.session.user.id);
+    res.render('auctions/new', {
+      ...(await loadAuctionFormOptions()),
+      draft: draft.toObject({ virtuals: true })
+    });
+  } catch (error) {
+    if (error.status === 404) {
+      return respondAuctionNotFound(req, res);
+    }
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /auctions/{id}/draft:
+ *   post:
+ *     summary: Update a saved draft; a new file replaces and deletes the previous one
+ *     tags: [Auctions]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Draft saved
+ */
+router.post(
+  '/:id/draft',
+  ensureAuthenticated,
+  ensureValidAuctionId,
+  upload.single('file'),
+  async (req, res, next) => {
+    try {
+      await attachPreviews(req.file);
+      const seller = req.session.user;
+      const draft = await saveDraft({
+        draftId: req.params.id,
+        sellerId: seller.id,
+        sellerNickname: seller.nickname,
+        input: req.body,
+        file: req.file
+      });
+      req.flash('success', '임시 저장본을 저장했습니다.');
+      return res.status(200).format({
+        html: () => res.redirect(`/auctions/${draft.id}/draft`),
+        json: () => res.json({ message: 'Draft saved', auction: serializeAuction(draft, req.session.user) })
+      });
+    } catch (error) {
+      if (error.status) {
+        if (req.xhr || (req.headers.accept && req.headers.accept.includes('application/json'))) {
+          return res.status(error.status).json({ message: error.message });
+        }
+        req.flash('error', error.message);
+        return res.redirect(`/auctions/${req.params.id}/draft`);
+      }
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /auctions/{id}/publish:
+ *   post:
+ *     summary: Save and publish a draft after running the same validation as POST /auctions
+ *     tags: [Auctions]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Draft published as a SCHEDULED or OPEN auction
+ *       400:
+ *         description: Validation failed; the submitted values are kept in the draft
+ */
+router.post(
+  '/:id/publish',
+  ensureAuthenticated,
+  ensureValidAuctionId,
+  upload.single('file'),
+  async (req, res, next) => {
+    try {
+      await attachPreviews(req.file);
+      const seller = req.session.user;
+      const auction = await publishDraft({
+        draftId: req.params.id,
+        sellerId: seller.id,
+        sellerNickname: seller.nickname,
+        input: req.body,
+        file: req.file
+      });
+      req.flash('success', '경매가 생성되었습니다.');
+      return res.status(200).format({
+        html: () => res.redirect(`/auctions/${auction.id}`),
+        json: () => res.json({ message: 'Draft published', auction: serializeAuction(auction, req.session.user) })
+      });
+    } catch (error) {
+      if (error.status) {
+        if (req.xhr || (req.headers.accept && req.headers.accept.includes('application/json'))) {
+          return res.status(error.status).json({ message: error.message });
+        }
+        req.flash('error', error.message);
+        return res.redirect(`/auctions/${req.params.id}/draft`);
+      }
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /auctions/{id}/draft/delete:
+ *   post:
+ *     summary: Delete a saved draft and its uploaded file
+ *     tags: [Auctions]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Draft deleted
+ */
+router.post('/:id/draft/delete', ensureAuthenticated, ensureValidAuctionId, async (req, res, next) => {
+  try {
+    await deleteDraft({ draftId: req.params.id, sellerId: req.session.user.id });
+    req.flash('success', '임시 저장본을 삭제했습니다.');
+    return res.status(200).format({
+      html: () => res.redirect('/auctions/my'),
+      json: () => res.json({ message: 'Draft deleted' })
+    });
+  } catch (error) {
+    if (error.status) {
+      if (req.xhr || (req.headers.accept && req.headers.accept.includes('application/json'))) {
+        return res.status(error.status).json({ message: error.message });
+      }
+      req.flash('error', error.message);
+      return res.redirect('/auctions/my');
+    }
+    next(error);
+  }
+});
+
+router.get('/my', ensureAuthenticated, async (req, res, next) => {
+  try {
+    const { drafts, scheduled, open, closed, cancelled } = await listUserAuctions(req.session.user.id);
+    res.render('auctions/mine', {
+      draftAuctions: drafts,
+      scheduledAuctions: scheduled,
+      openAuctions: open,
+      closedAuctions: closed,
+      cancelledAuctions: cancelled
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /auctions/watching:
+ *   get:
+ *     summary: List the auctions the current user is watching
+ *     tags: [Auctions]
+ *     responses:
+ *       200:
+ *         description: Watchlist page
+ */
+router.get('/watching', ensureAuthenticated, async (req, res, next) => {
+  try {
+    const auctions = await listWatchedAuctions(req.session.user.id);
+    res.render('auctions/watching', { auctions });
+  } catch (error) {
+    next(error);
+  }
+});
+
+function respondSavedSearchError(req, res, error, redirectTo) {
+  if (req.xhr || (req.headers.accept && req.headers.accept.includes('application/json'))) {
+    return res.status(error.status).json({ message: error.message });
+  }
+  req.flash('error', error.message);
+  return res.redirect(redirectTo);
+}
+
+/**
+ * @swagger
+ * /auctions/saved-searches:
+ *   get:
+ *     summary: List the current user's saved searches
+ *     tags: [Auctions]
+ *     responses:
+ *       200:
+ *         description: Saved searches with their normalized filters
+ */
+router.get('/saved-searches', ensureAuthenticated, async (req, res, next) => {
+  try {
+    const savedSearches = await listUserSavedSearches(req.session.user.id);
+    res.format({
+      html: () => res.render('auctions/savedSearches', { savedSearches }),
+      json: () => res.json({ savedSearches })
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /auctions/saved-searches:
+ *   post:
+ *     summary: Save a search and get notified when new listings match it
+ *     tags: [Auctions]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/x-www-form-urlencoded:
+ *           schema:
+ *             type: object
+ *             required: [query]
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 description: Defaults to the keywords or course of the search
+ *               query:
+ *                 type: string
+ *                 description: Query string of the auction list search (same parameters as GET /auctions)
+ *     responses:
+ *       201:
+ *         description: Search saved
+ *       409:
+ *         description: The same search is already saved
+ */
+router.post('/saved-searches', ensureAuthenticated, async (req, res, next) => {
+  try {
+    const savedSearch = await saveSearch({
+      userId: req.session.user.id,
+      name: req.body.name,
+      queryString: req.body.query
+    });
+    req.flash('success', `"${savedSearch.name}" 검색을 저장했습니다. 조건에 맞는 경매가 새로 등록되면 알려드립니다.`);
+    return res.status(201).format({
+      html: () => res.redirect(`/auctions?${savedSearch.queryString}`),
+      json: () => res.json({ message: 'Search saved', savedSearch })
+    });
+  } catch (error) {
+    if (error.status) {
+      return respondSavedSearchError(req, res, error, req.body.query ? `/auctions?${req.body.query}` : '/auctions');
+    }
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /auctions/saved-searches/{searchId}/delete:
+ *   post:
+ *     summary: Delete a saved search
+ *     tags: [Auctions]
+ *     parameters:
+ *       - in: path
+ *         name: searchId
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Saved search deleted
+ */
+router.post('/saved-searches/:searchId/delete', ensureAuthenticated, async (req, res, next) => {
+  try {
+    await removeSavedSearch({ userId: req.session.user.id, savedSearchId: req.params.searchId });
+    req.flash('success', '저장한 검색을 삭제했습니다.');
+    return res.status(200).format({
+      html: () => res.redirect('/auctions/saved-searches'),
+      json: () => res.json({ message: 'Saved search deleted' })
+    });
+  } catch (error) {
+    if (error.status) {
+      return respondSavedSearchError(req, res, error, '/auctions/saved-searches');
+    }
+    next(error);
+  }
+});
+
+router.get('/notifications', ensureAuthenticated, async (req, res, next) => {
+  try {
+    const notifications = await listUserNotifications(req.session.user.id);
+    res.render('auctions/notifications', { notifications });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /auctions/{id}:
+ *   get:
+ *     summary: View a single auction
+ *     tags: [Auctions]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Auction details
+ */
+router.get('/:id', ensureAuthenticated, ensureValidAuctionId, async (req, res, next) => {
+    try {
+        const auctionDoc = await getAuctionById(req.params.id);
+        if (!auctionDoc || (auctionDoc.status === 'DRAFT' && auctionDoc.sellerId !== Number(req.session.user.id))) {
+            return res.status(404).render('error', { error: new Error('경매를 찾을 수 없습니다.') });
+        }
+        if (auctionDoc.status === 'DRAFT') {
+            return res.redirect(`/auctions/${auctionDoc.id}/draft`);
+        }
+        const auction = auctionDoc.toObject({ virtuals: true });
+        const dutchPriceState = getDutchPriceState(auction);
+        auction.currentPrice = dutchPriceState.currentPrice;
+        const currentUser = req.session.user;
+        const currentUserIdStr = String(currentUser.id);
+        const sellerIdStr = String(auction.sellerId);
+        const winnerIdStr = auction.winnerId == null ? null : String(auction.winnerId);
+        const isSeller = sellerIdStr === currentUserIdStr;
+        const isWinner = winnerIdStr !== null && winnerIdStr === currentUserIdStr;
+        if (!isSeller) {
+            delete auction.reservePrice;
+        }
+        const isAuctionOpen = auction.status === 'OPEN' && new Date(auction.endTime) > new Date();
+        const hasBid = Array.isArray(auction.bids)
+            ? auction.bids.some((bid) => String(bid.bidderId) === currentUserIdStr)
+            : false;
+        const canRetract = hasBid && canRetractBid(auction, currentUser.id);
+        let userSealedBid = null;
+        if (auction.bidsHidden) {
+            userSealedBid = auction.bids
+                .filter((bid) => String(bid.bidderId) === currentUserIdStr)
+                .reduce((max, bid) => (!max || bid.amount > max.amount ? bid : max), null);
+            auction.bidCount = auction.bids.length;
+            auction.bids = [];
+        }
+        const existingReview = Array.isArray(auction.reviews)
+            ? auction.reviews.find((review) => String(review.bidderId) === currentUserIdStr)
+            : null;
+        const canBid = isAuctionOpen && !isSeller && auction.type !== 'DUTCH';
+        const canBuyNow = canBid && isBuyNowAvailable(auction);
+        const canAcceptPrice = isAuctionOpen && !isSeller && auction.type === 'DUTCH';
+        const canRate = auction.status === 'CLOSED' && hasBid && !isSeller && !existingReview;
+        if (Array.isArray(auction.reviews)) {
+            auction.reviews = auction.reviews
+                .slice()
+                .sort((a, b) => new Date(b.createdAt).getTime() - new Date(a.createdAt).getTime());
+        }
+        const allowDownload = canDownloadAuctionFile(auction, currentUser.id);
+        const downloadStatus = allowDownload ? await getDownloadStatus(auctionDoc, currentUser.id) : null;
+        const pendingOffer = Array.isArray(auction.secondChanceOffers)
+            ? auction.secondChanceOffers.find((offer) => offer.status === 'PENDING')
+            : null;
+        const userSecondChanceOffer =
+            pendingOffer && String(pendingOffer.bidderId) === currentUserIdStr ? pendingOffer : null;
+        const canCancel = isSeller && (auction.status === 'SCHEDULED' || auction.status === 'OPEN');
+        const canEdit = isSeller && isAuctionEditable(auctionDoc);
+        if (!currentUser.isAdmin) {
+            delete auction.revisions;
+        }
+        const canMarkDefault =
+            auction.status === 'CLOSED' && !!auction.winnerId && (isSeller || !!currentUser.isAdmin);
+        const bidderAliases = auctionDoc.getBidderAliases();
+        // 입찰 기록의 실제 계정 정보는 관리자 감사용으로만 조회한다.
+        const bidLogs = currentUser.isAdmin
+            ? (await listBidLogs(auction.id)).map((log) => ({
+                  ...log,
+                  bidderAlias: bidderAliases.get(Number(log.bidder_id)) || null
+              }))
+            : [];
+        const userProxyBid =
+            isAuctionOpen && !isSeller && auction.type !== 'SEALED'
+                ? await getProxyBidForUser(auction.id, currentUser.id)
+                : null;
+        const bidIncrementTiers = getBidIncrementTiers();
+        const relistHistory = await getRelistHistory(auction);
+        const watching = !isSeller && (await isWatching(currentUser.id, auction.id));
+        res.render('auctions/show', {
+            auction,
+            bidLogs,
+            isSeller,
+            isWinner,
+            canBid,
+            canBuyNow,
+            canAcceptPrice,
+            nextPriceDropAt: dutchPriceState.nextDropAt,
+            canRate,
+            allowDownload,
+            downloadStatus,
+            userHasBid: hasBid,
+            userReview: existingReview,
+            userProxyBid,
+            userSealedBid,
+            bidIncrementTiers,
+            bidUnit: getBidUnit(bidIncrementTiers),
+            minimumBid: getMinimumBid(auction, bidIncrementTiers),
+            relistHistory,
+            userSecondChanceOffer,
+            pendingSecondChanceOffer: isSeller || currentUser.isAdmin ? pendingOffer : null,
+            canMarkDefault,
+            canCancel,
+            canEdit,
+            canRetract,
+            isWatching: watching,
+            bidderAliasOf: (bidderId) => bidderAliases.get(Number(bidderId)) || null,
+            materialTypes: MATERIAL_TYPES,
+            semesterTerms: SEMESTER_TERMS
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /auctions/{id}/edit:
+ *   get:
+ *     summary: Edit form for a listing that has no bids yet (seller only)
+ *     tags: [Auctions]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: HTML form
+ */
+router.get('/:id/edit', ensureAuthenticated, ensureValidAuctionId, async (req, res, next) => {
+  try {
+    const auction = await getAuctionById(req.params.id);
+    if (!auction) {
+      return respondAuctionNotFound(req, res);
+    }
+    if (auction.sellerId !== Number(req.session.user.id)) {
+      req.flash('error', '판매자만 경매를 수정할 수 있습니다.');
+      return res.redirect(`/auctions/${req.params.id}`);
+    }
+    if (!isAuctionEditable(auction)) {
+      req.flash('error', '입찰이 시작되었거나 종료된 경매는 수정할 수 없습니다.');
+      return res.redirect(`/auctions/${req.params.id}`);
+    }
+    res.render('auctions/edit', { auction });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /auctions/{id}/edit:
+ *   post:
+ *     summary: Update the title, description, end time or file of a listing before its first bid
+ *     tags: [Auctions]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required: [title, description, endTime]
+ *             properties:
+ *               title:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               endTime:
+ *                 type: string
+ *                 format: date-time
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *                 description: Optional replacement file; the previous upload is deleted
+ *     responses:
+ *       200:
+ *         description: Auction updated and revision recorded
+ *       409:
+ *         description: A bid arrived before the update was saved
+ */
+router.post(
+  '/:id/edit',
+  ensureAuthenticated,
+  ensureValidAuctionId,
+  upload.single('file'),
+  [
+    body('title').notEmpty().withMessage('제목은 필수입니다.'),
+    body('description').notEmpty().withMessage('설명은 필수입니다.'),
+    body('endTime').notEmpty().withMessage('마감 시간을 입력하세요.')
+  ],
+  async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      if (req.file) {
+        await deleteAuctionFile(req.file.path);
+      }
+      errors.array().forEach((e) => req.flash('error', e.msg));
+      return res.status(400).format({
+        html: () => res.redirect(`/auctions/${req.params.id}/edit`),
+        json: () => res.json({ errors: errors.array() })
+      });
+    }
+    try {
+      await attachPreviews(req.file);
+      const auction = await updateAuction({
+        auctionId: req.params.id,
+        sellerId: req.session.user.id,
+        title: req.body.title,
+        description: req.body.description,
+        endTime: req.body.endTime,
+        file: req.file
+      });
+      req.flash('success', '경매 정보가 수정되었습니다.');
+      return res.status(200).format({
+        html: () => res.redirect(`/auctions/${req.params.id}`),
+        json: () => res.json({ message: 'Auction updated', auction: serializeAuction(auction, req.session.user) })
+      });
+    } catch (error) {
+      if (error.status) {
+        if (req.xhr || (req.headers.accept && req.headers.accept.includes('application/json'))) {
+          return res.status(error.status).json({ message: error.message });
+        }
+        req.flash('error', error.message);
+        return res.redirect(`/auctions/${req.params.id}/edit`);
+      }
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /auctions/{id}/bids:
+ *   post:
+ *     summary: Place a bid on an auction
+ *     tags: [Auctions]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [amount]
+ *             properties:
+ *               amount:
+ *                 type: number
+ *               maxAmount:
+ *                 type: number
+ *                 description: Private maximum for automatic (proxy) bidding
+ *     responses:
+ *       200:
+ *         description: Bid placed
+ *       409:
+ *         description: Outbid by a concurrent bid
+ */
+router.post(
+  '/:id/bids',
+  ensureAuthenticated,
+  ensureValidAuctionId,
+  [
+    body('amount').isFloat({ gt: 0 }).withMessage('입찰가는 0보다 커야 합니다.'),
+    body('maxAmount')
+      .optional({ values: 'falsy' })
+      .isFloat({ gt: 0 })
+      .withMessage('자동 입찰 최대 금액은 0보다 커야 합니다.')
+  ],
+  async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).format({
+        html: () => {
+          errors.array().forEach((e) => req.flash('error', e.msg));
+          res.redirect(`/auctions/${req.params.id}`);
+        },
+        json: () => res.json({ errors: errors.array() })
+      });
+    }
+    try {
+      const amount = Number(req.body.amount);
+      const user = req.session.user;
+      const auction = await placeBid({
+        auctionId: req.params.id,
+        bidderId: user.id,
+        bidderNickname: user.nickname,
+        amount,
+        maxAmount: req.body.maxAmount ? Number(req.body.maxAmount) : null
+      });
+      req.flash('success', '입찰이 완료되었습니다.');
+      return res.status(200).format({
+        html: () => res.redirect(`/auctions/${req.params.id}`),
+        json: () => res.json({ message: 'Bid placed', auction: serializeAuction(auction, req.session.user) })
+      });
+    } catch (error) {
+      if (error.status) {
+        if (req.xhr || (req.headers.accept && req.headers.accept.includes('application/json'))) {
+          return res.status(error.status).json({ message: error.message });
+        }
+        req.flash('error', error.message);
+        return res.redirect(`/auctions/${req.params.id}`);
+      }
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /auctions/{id}/accept:
+ *   post:
+ *     summary: Accept the current price of a descending-price (DUTCH) auction
+ *     tags: [Auctions]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Price accepted and auction closed
+ */
+router.post('/:id/accept', ensureAuthenticated, ensureValidAuctionId, async (req, res, next) => {
+  try {
+    const user = req.session.user;
+    const auction = await acceptDutchPrice({
+      auctionId: req.params.id,
+      buyerId: user.id,
+      buyerNickname: user.nickname
+    });
+    req.flash('success', '현재 가격으로 구매가 완료되었습니다.');
+    return res.status(200).format({
+      html: () => res.redirect(`/auctions/${req.params.id}`),
+      json: () => res.json({ message: 'Price accepted', auction: serializeAuction(auction, req.session.user) })
+    });
+  } catch (error) {
+    if (error.status) {
+      if (req.xhr || (req.headers.accept && req.headers.accept.includes('application/json'))) {
+        return res.status(error.status).json({ message: error.message });
+      }
+      req.flash('error', error.message);
+      return res.redirect(`/auctions/${req.params.id}`);
+    }
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /auctions/{id}/watch:
+ *   post:
+ *     summary: Add an auction to the current user's watchlist
+ *     description: Watchers are notified when the auction enters its last hour, receives a new bid, or closes.
+ *     tags: [Auctions]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Auction added to the watchlist
+ */
+router.post('/:id/watch', ensureAuthenticated, ensureValidAuctionId, async (req, res, next) => {
+  try {
+    await watchAuction({ auctionId: req.params.id, userId: req.session.user.id });
+    req.flash('success', '관심 목록에 추가했습니다.');
+    return res.status(200).format({
+      html: () => res.redirect('back'),
+      json: () => res.json({ message: 'Auction watched', watching: true })
+    });
+  } catch (error) {
+    if (error.status) {
+      if (req.xhr || (req.headers.accept && req.headers.accept.includes('application/json'))) {
+        return res.status(error.status).json({ message: error.message });
+      }
+      req.flash('error', error.message);
+      return res.redirect('back');
+    }
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /auctions/{id}/unwatch:
+ *   post:
+ *     summary: Remove an auction from the current user's watchlist
+ *     tags: [Auctions]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Auction removed from the watchlist
+ */
+router.post('/:id/unwatch', ensureAuthenticated, ensureValidAuctionId, async (req, res, next) => {
+  try {
+    await unwatchAuction({ auctionId: req.params.id, userId: req.session.user.id });
+    req.flash('success', '관심 목록에서 제거했습니다.');
+    return res.status(200).format({
+      html: () => res.redirect('back'),
+      json: () => res.json({ message: 'Auction unwatched', watching: false })
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /auctions/{id}/retract:
+ *   post:
+ *     summary: Retract your latest bid within the short grace period after placing it
+ *     tags: [Auctions]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Bid retracted, rival auto-bids it triggered re-resolved and any end-time extension it caused rolled back
+ *       400:
+ *         description: Retraction window passed or auction is about to close
+ *       409:
+ *         description: A new bid arrived while retracting
+ */
+router.post('/:id/retract', ensureAuthenticated, ensureValidAuctionId, async (req, res, next) => {
+  try {
+    const auction = await retractBid({ auctionId: req.params.id, bidderId: req.session.user.id });
+    req.flash('success', '입찰이 철회되었습니다.');
+    return res.status(200).format({
+      html: () => res.redirect(`/auctions/${req.params.id}`),
+      json: () => res.json({ message: 'Bid retracted', auction: serializeAuction(auction, req.session.user) })
+    });
+  } catch (error) {
+    if (error.status) {
+      if (req.xhr || (req.headers.accept && req.headers.accept.includes('application/json'))) {
+        return res.status(error.status).json({ message: error.message });
+      }
+      req.flash('error', error.message);
+      return res.redirect(`/auctions/${req.params.id}`);
+    }
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /auctions/{id}/relist:
+ *   post:
+ *     summary: Relist an unsold closed auction with the same file and details
+ *     tags: [Auctions]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/x-www-form-urlencoded:
+ *           schema:
+ *             type: object
+ *             required: [endTime]
+ *             properties:
+ *               endTime:
+ *                 type: string
+ *                 format: date-time
+ *               startPrice:
+ *                 type: number
+ *                 description: Optional new start price, no higher than the original
+ *     responses:
+ *       201:
+ *         description: New auction created and linked to the original
+ */
+router.post(
+  '/:id/relist',
+  ensureAuthenticated,
+  ensureValidAuctionId,
+  [
+    body('endTime').notEmpty().withMessage('마감 시간을 입력하세요.'),
+    body('startPrice')
+      .optional({ values: 'falsy' })
+      .isFloat({ gt: 0 })
+      .withMessage('시작가는 0보다 커야 합니다.')
+  ],
+  async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).format({
+        html: () => {
+          errors.array().forEach((e) => req.flash('error', e.msg));
+          res.redirect('/auctions/my');
+        },
+        json: () => res.json({ errors: errors.array() })
+      });
+    }
+    try {
+      const user = req.session.user;
+      const auction = await relistAuction({
+        auctionId: req.params.id,
+        sellerId: user.id,
+        sellerNickname: user.nickname,
+        endTime: req.body.endTime,
+        startPrice: req.body.startPrice ? Number(req.body.startPrice) : null
+      });
+      req.flash('success', '경매가 재등록되었습니다.');
+      return res.status(201).format({
+        html: () => res.redirect(`/auctions/${auction.id}`),
+        json: () => res.json({ message: 'Auction relisted', auction: serializeAuction(auction, req.session.user) })
+      });
+    } catch (error) {
+      if (error.status) {
+        if (req.xhr || (req.headers.accept && req.headers.accept.includes('application/json'))) {
+          return res.status(error.status).json({ message: error.message });
+        }
+        req.flash('error', error.message);
+        return res.redirect('/auctions/my');
+      }
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /auctions/{id}/cancel:
+ *   post:
+ *     summary: Cancel a scheduled or open auction as its seller
+ *     description: Free before the first bid. Once bids exist a reason is required and the seller receives a reputation penalty.
+ *     tags: [Auctions]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *     requestBody:
  *       content:
- *         multipart/form-data:
+ *         application/x-www-form-urlencoded:
  *           schema:
  *             type: object
- *             required: [title, description, startPrice, endTime, file]
  *             properties:
- *               title:
- *                 type: string
- *               description:
+ *               reason:
  *                 type: string
- *               startPrice:
- *                 type: number
- *               endTime:
- *                 type: string
- *                 format: date-time
- *               file:
- *                 type: string
- *                 format: binary
+ *                 description: Required when the auction already has bids
  *     responses:
- *       201:
- *         description: Auction created
+ *       200:
+ *         description: Auction cancelled and bidders notified
  */
 router.post(
-  '/',
+  '/:id/cancel',
   ensureAuthenticated,
-  upload.single('file'),
-  [
-    body('title').notEmpty().withMessage('제목은 필수입니다.'),
-    body('description').notEmpty().withMessage('설명은 필수입니다.'),
-    body('startPrice').isFloat({ gt: 0 }).withMessage('시작가는 0보다 커야 합니다.'),
-    body('endTime').notEmpty().withMessage('마감 시간을 입력하세요.')
-  ],
+  ensureValidAuctionId,
+  [body('reason').optional().isLength({ max: 500 }).withMessage('취소 사유는 500자 이내로 입력하세요.')],
   async (req, res, next) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
-      errors.array().forEach((e) => req.flash('error', e.msg));
       return res.status(400).format({
-        html: () => res.redirect('/auctions/new'),
+        html: () => {
+          errors.array().forEach((e) => req.flash('error', e.msg));
+          res.redirect(`/auctions/${req.params.id}`);
+        },
         json: () => res.json({ errors: errors.array() })
       });
     }
-    if (!req.file) {
-      req.flash('error', '파일은 필수입니다.');
-      return res.status(400).format({
-        html: () => res.redirect('/auctions/new'),
-        json: () => res.json({ message: 'File is required' })
-      });
-    }
     try {
-      const { title, description, startPrice, endTime } = req.body;
-      const seller = req.session.user;
-      const parsedEndTime = new Date(endTime);
-      if (Number.isNaN(parsedEndTime.getTime())) {
-        throw Object.assign(new Error('유효한 종료 시간을 입력하세요.'), { status: 400 });
-      }
-      if (parsedEndTime <= new Date()) {
-        const message = '마감 시간은 현재 시각 이후여야 합니다.';
-        if (req.xhr || (req.headers.accept && req.headers.accept.includes('application/json'))) {
-          return res.status(400).json({ message });
-        }
-        req.flash('warning', message);
-        return res.redirect('/auctions/new');
-      }
-      const numericPrice = Number(startPrice);
-      if (!Number.isFinite(numericPrice) || numericPrice <= 0) {
-        throw Object.assign(new Error('시작가는 0보다 커야 합니다.'), { status: 400 });
-      }
-      const auction = await createAuction({
-        title,
-        description,
-        startPrice: numericPrice,
-        endTime: parsedEndTime,
-        sellerId: seller.id,
-        sellerNickname: seller.nickname,
-        file: req.file
+      const auction = await cancelAuction({
+        auctionId: req.params.id,
+        sellerId: req.session.user.id,
+        reason: req.body.reason
       });
-      req.flash('success', '경매가 생성되었습니다.');
-      return res.status(201).format({
-        html: () => res.redirect(`/auctions/${auction.id}`),
-        json: () => res.json({ message: 'Auction created', auction })
+      req.flash('success', '경매가 취소되었습니다.');
+      return res.status(200).format({
+        html: () => res.redirect(`/auctions/${req.params.id}`),
+        json: () => res.json({ message: 'Auction cancelled', auction: serializeAuction(auction, req.session.user) })
       });
     } catch (error) {
+      if (error.status) {
+        if (req.xhr || (req.headers.accept && req.headers.accept.includes('application/json'))) {
+          return res.status(error.status).json({ message: error.message });
+        }
+        req.flash('error', error.message);
+        return res.redirect(`/auctions/${req.params.id}`);
+      }
       next(error);
     }
   }
 );
 
-router.get('/my', ensureAuthenticated, async (req, res, next) => {
-  try {
-    await closeExpiredAuctions();
-    const { open, closed } = await listUserAuctions(req.session.user.id);
-    res.render('auctions/mine', { openAuctions: open, closedAuctions: closed });
-  } catch (error) {
-    next(error);
-  }
-});
-
-router.get('/notifications', ensureAuthenticated, async (req, res, next) => {
-  try {
-    await closeExpiredAuctions();
-    const notifications = await listUserNotifications(req.session.user.id);
-    res.render('auctions/notifications', { notifications });
-  } catch (error) {
-    next(error);
-  }
-});
-
 /**
  * @swagger
- * /auctions/{id}:
- *   get:
- *     summary: View a single auction
+ * /auctions/{id}/default:
+ *   post:
+ *     summary: Mark the winner as defaulted and offer the item to the next-highest bidder
+ *     description: Seller or admin only. Records a strike for the defaulting winner.
  *     tags: [Auctions]
  *     parameters:
  *       - in: path
@@ -253,59 +1457,43 @@ router.get('/notifications', ensureAuthenticated, async (req, res, next) => {
  *           type: string
  *     responses:
  *       200:
- *         description: Auction details
+ *         description: Winner cleared and a second-chance offer sent if a runner-up exists
  */
-router.get('/:id', ensureAuthenticated, ensureValidAuctionId, async (req, res, next) => {
-    try {
-        await closeExpiredAuctions();
-        const auctionDoc = await getAuctionById(req.params.id);
-        if (!auctionDoc) {
-            return res.status(404).render('error', { error: new Error('경매를 찾을 수 없습니다.') });
-        }
-        const auction = auctionDoc.toObject({ virtuals: true });
-        const currentUser = req.session.user;
-        const currentUserIdStr = String(currentUser.id);
-        const sellerIdStr = String(auction.sellerId);
-        const winnerIdStr = auction.winnerId == null ? null : String(auction.winnerId);
-        const isSeller = sellerIdStr === currentUserIdStr;
-        const isWinner = winnerIdStr !== null && winnerIdStr === currentUserIdStr;
-        const isAuctionOpen = auction.status === 'OPEN' && new Date(auction.endTime) > new Date();
-        const hasBid = Array.isArray(auction.bids)
-            ? auction.bids.some((bid) => String(bid.bidderId) === currentUserIdStr)
-            : false;
-        const existingReview = Array.isArray(auction.reviews)
-            ? auction.reviews.find((review) => String(review.bidderId) === currentUserIdStr)
-            : null;
-        const canBid = isAuctionOpen && !isSeller;
-        const canRate = auction.status === 'CLOSED' && hasBid && !isSeller && !existingReview;
-        if (Array.isArray(auction.reviews)) {
-            auction.reviews = auction.reviews
-                .slice()
-                .sort((a, b) => new Date(b.createdAt).getTime() - new Date(a.createdAt).getTime());
-        }
-        const allowDownload = auction.status === 'CLOSED' && (isSeller || hasBid);
-        const bidLogs = await listBidLogs(auction.id);
-        res.render('auctions/show', {
-            auction,
-            bidLogs,
-            isSeller,
-            isWinner,
-            canBid,
-            canRate,
-            allowDownload,
-            userHasBid: hasBid,
-            userReview: existingReview
-        });
-    } catch (error) {
-        next(error);
+router.post('/:id/default', ensureAuthenticated, ensureValidAuctionId, async (req, res, next) => {
+  try {
+    const user = req.session.user;
+    const auction = await markWinnerDefaulted({
+      auctionId: req.params.id,
+      actorId: user.id,
+      isAdmin: !!user.isAdmin
+    });
+    req.flash(
+      'success',
+      auction.secondChanceOffers.some((offer) => offer.status === 'PENDING')
+        ? '낙찰자 불이행을 기록하고 차순위 입찰자에게 구매 제안을 보냈습니다.'
+        : '낙찰자 불이행을 기록했습니다. 구매 제안을 받을 차순위 입찰자가 없습니다.'
+    );
+    return res.status(200).format({
+      html: () => res.redirect(`/auctions/${req.params.id}`),
+      json: () => res.json({ message: 'Winner marked as defaulted', auction: serializeAuction(auction, req.session.user) })
+    });
+  } catch (error) {
+    if (error.status) {
+      if (req.xhr || (req.headers.accept && req.headers.accept.includes('application/json'))) {
+        return res.status(error.status).json({ message: error.message });
+      }
+      req.flash('error', error.message);
+      return res.redirect(`/auctions/${req.params.id}`);
     }
+    next(error);
+  }
 });
 
 /**
  * @swagger
- * /auctions/{id}/bids:
+ * /auctions/{id}/second-chance:
  *   post:
- *     summary: Place a bid on an auction
+ *     summary: Accept or decline a second-chance offer after the winner defaulted
  *     tags: [Auctions]
  *     parameters:
  *       - in: path
@@ -315,22 +1503,23 @@ router.get('/:id', ensureAuthenticated, ensureValidAuctionId, async (req, res, n
  *     requestBody:
  *       required: true
  *       content:
- *         application/json:
+ *         application/x-www-form-urlencoded:
  *           schema:
  *             type: object
- *             required: [amount]
+ *             required: [decision]
  *             properties:
- *               amount:
- *                 type: number
+ *               decision:
+ *                 type: string
+ *                 enum: [accept, decline]
  *     responses:
  *       200:
- *         description: Bid placed
+ *         description: Offer accepted (caller becomes the winner) or declined (next bidder is offered)
  */
 router.post(
-  '/:id/bids',
+  '/:id/second-chance',
   ensureAuthenticated,
   ensureValidAuctionId,
-  [body('amount').isFloat({ gt: 0 }).withMessage('입찰가는 0보다 커야 합니다.')],
+  [body('decision').isIn(['accept', 'decline']).withMessage('수락 또는 거절을 선택하세요.')],
   async (req, res, next) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -343,18 +1532,16 @@ router.post(
       });
     }
     try {
-      const amount = Number(req.body.amount);
-      const user = req.session.user;
-      const auction = await placeBid({
+      const accept = req.body.decision === 'accept';
+      const auction = await respondToSecondChanceOffer({
         auctionId: req.params.id,
-        bidderId: user.id,
-        bidderNickname: user.nickname,
-        amount
+        bidderId: req.session.user.id,
+        accept
       });
-      req.flash('success', '입찰이 완료되었습니다.');
+      req.flash('success', accept ? '차순위 구매 제안을 수락해 낙찰되었습니다.' : '차순위 구매 제안을 거절했습니다.');
       return res.status(200).format({
         html: () => res.redirect(`/auctions/${req.params.id}`),
-        json: () => res.json({ message: 'Bid placed', auction })
+        json: () => res.json({ message: accept ? 'Offer accepted' : 'Offer declined', auction: serializeAuction(auction, req.session.user) })
       });
     } catch (error) {
       if (error.status) {
@@ -369,6 +1556,46 @@ router.post(
   }
 );
 
+/**
+ * @swagger
+ * /auctions/{id}/buy-now:
+ *   post:
+ *     summary: Buy the auction at its buy-now price and close it immediately
+ *     tags: [Auctions]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Auction purchased and closed
+ */
+router.post('/:id/buy-now', ensureAuthenticated, ensureValidAuctionId, async (req, res, next) => {
+  try {
+    const user = req.session.user;
+    const auction = await buyNow({
+      auctionId: req.params.id,
+      buyerId: user.id,
+      buyerNickname: user.nickname
+    });
+    req.flash('success', '즉시 구매가 완료되었습니다.');
+    return res.status(200).format({
+      html: () => res.redirect(`/auctions/${req.params.id}`),
+      json: () => res.json({ message: 'Auction bought', auction: serializeAuction(auction, req.session.user) })
+    });
+  } catch (error) {
+    if (error.status) {
+      if (req.xhr || (req.headers.accept && req.headers.accept.includes('application/json'))) {
+        return res.status(error.status).json({ message: error.message });
+      }
+      req.flash('error', error.message);
+      return res.redirect(`/auctions/${req.params.id}`);
+    }
+    next(error);
+  }
+});
+
 /**
  * @swagger
  * /auctions/{id}/rate:
@@ -503,7 +1730,7 @@ router.post(
         json: () =>
           res.json({
             message: 'Reputation recorded',
-            review: reviewPayload
+            review: serializeReview(auction, reviewPayload, req.session.user)
           })
       });
     } catch (error) {
@@ -512,11 +1739,63 @@ router.post(
   }
 );
 
+/**
+ * @swagger
+ * /auctions/{id}/previews/{index}:
+ *   get:
+ *     summary: Watermarked low-resolution preview image generated at upload time
+ *     tags: [Auctions]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: index
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: JPEG preview image
+ *       404:
+ *         description: No preview at that index, or a draft owned by someone else
+ */
+router.get('/:id/previews/:index', ensureAuthenticated, ensureValidAuctionId, async (req, res, next) => {
+  try {
+    const auction = await getAuctionById(req.params.id);
+    if (!auction || (auction.status === 'DRAFT' && auction.sellerId !== Number(req.session.user.id))) {
+      return respondAuctionNotFound(req, res);
+    }
+    const previewPath = resolvePreviewPath(auction, Number(req.params.index));
+    res.sendFile(previewPath, { headers: { 'Cache-Control': 'private, max-age=300' } }, (error) => {
+      if (error && !res.headersSent) {
+        next(error);
+      }
+    });
+  } catch (error) {
+    if (error.status === 404) {
+      return respondAuctionNotFound(req, res);
+    }
+    next(error);
+  }
+});
+
+function respondDownloadError(req, res, error) {
+  if (req.xhr || (req.headers.accept && req.headers.accept.includes('application/json'))) {
+    return res.status(error.status).json({ message: error.message });
+  }
+  req.flash('error', error.message);
+  return res.redirect(`/auctions/${req.params.id}`);
+}
+
 /**
  * @swagger
  * /auctions/{id}/download:
  *   get:
- *     summary: Download auction file
+ *     summary: Issue a short-lived signed download link (seller and winner only, after close)
+ *     description: >
+ *       The signed URL is a bearer token. Anyone who holds it can download the file as the requesting user
+ *       until `expiresAt`, and each full download through it counts against that user's limit.
  *     tags: [Auctions]
  *     parameters:
  *       - in: path
@@ -524,33 +1803,115 @@ router.post(
  *         schema:
  *           type: string
  *     responses:
+ *       302:
+ *         description: Redirects browsers to the signed file URL
  *       200:
- *         description: File download
+ *         description: JSON with the signed `url`, `expiresAt` and `remainingDownloads` (null for the seller)
+ *       403:
+ *         description: Not the seller or winner, or the download limit has been used up
+ *       409:
+ *         description: Auction has not closed yet
  */
 router.get('/:id/download', ensureAuthenticated, ensureValidAuctionId, async (req, res, next) => {
-    try {
-        await closeExpiredAuctions();
-        const auction = await getAuctionById(req.params.id);
-        if (!auction) {
-            return respondAuctionNotFound(req, res);
-        }
-        const requesterId = String(req.session.user.id);
-        const isSeller = String(auction.sellerId) === requesterId;
-        const hasBid = Array.isArray(auction.bids)
-            ? auction.bids.some((bid) => String(bid.bidderId) === requesterId)
-            : false;
-        if (!isSeller && !hasBid) {
-            req.flash('error', '입찰에 참여한 사용자만 자료를 내려받을 수 있습니다.');
-            return res.redirect(`/auctions/${req.params.id}`);
-        }
-        if (auction.status !== 'CLOSED') {
-            req.flash('error', '경매 종료 후에만 자료를 내려받을 수 있습니다.');
-            return res.redirect(`/auctions/${req.params.id}`);
-        }
-        res.download(path.resolve(auction.filePath), auction.fileOriginalName);
-    } catch (error) {
+  try {
+    const auction = await getAuctionById(req.params.id);
+    if (!auction) {
+      return respondAuctionNotFound(req, res);
+    }
+    const link = await createDownloadLink(auction, req.session.user.id);
+    return res.status(200).format({
+      html: () => res.redirect(link.url),
+      json: () => res.json(link)
+    });
+  } catch (error) {
+    if (error.status) {
+      return respondDownloadError(req, res, error);
+    }
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /auctions/{id}/download/file:
+ *   get:
+ *     summary: Download the auction file through a signed link
+ *     description: >
+ *       Works without a session so download managers can resume. The link is a bearer token: anyone holding
+ *       the URL can download as the user it was issued to until it expires, so it must not be shared.
+ *       Supports HTTP Range requests; only downloads that start from the first byte count toward the
+ *       per-user limit, and a range starting later is served only if a download was already started
+ *       with the same link (same `download` token) and the link has not expired. The winner receives a copy stamped with their own buyer marker
+ *       (visible notice plus hidden metadata/pixel marker; encrypted PDFs only get a marker comment appended
+ *       after the original bytes); the seller receives the original. The download is counted only after the
+ *       copy is ready.
+ *     tags: [Auctions]
+ *     security: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: user
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: download
+ *         description: Per-link token that ties resumed requests to the download they continue
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: expires
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: signature
+ *         schema:
+ *           type: string
+ *       - in: header
+ *         name: Range
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Whole file
+ *       206:
+ *         description: Requested byte range
+ *       403:
+ *         description: Invalid signature, not entitled, download limit reached, or resume without a download started by this link
+ *       410:
+ *         description: Link expired
+ */
+router.get('/:id/download/file', ensureValidAuctionId, async (req, res, next) => {
+  try {
+    const { userId, downloadToken } = verifyDownloadLink(req.params.id, req.query);
+    const auction = await getAuctionById(req.params.id);
+    if (!auction) {
+      return respondAuctionNotFound(req, res);
+    }
+    const filePath = await resolveAuctionFile(auction);
+    assertDownloadAllowed(auction, userId);
+    // 사본을 만들지 못하면 횟수를 쓰지 않도록, 내려줄 파일이 준비된 뒤에 다운로드를 기록한다.
+    const copy = await prepareDownloadCopy(auction, userId, filePath);
+    await beginDownload(auction, userId, {
+      method: req.method,
+      rangeHeader: req.headers.range,
+      ipAddress: req.ip,
+      downloadToken
+    });
+    res.set('Cache-Control', 'private, no-store');
+    res.download(copy.path, copy.fileName, { acceptRanges: true, cacheControl: false }, (error) => {
+      if (error && !res.headersSent) {
         next(error);
+      }
+    });
+  } catch (error) {
+    if (error.status) {
+      return respondDownloadError(req, res, error);
     }
+    next(error);
+  }
 });
 
 module.exports = router;
@@ -549,6 +549,15 @@ function listSettings() {
   return toArray('settings');
 }
 
+function getSettingValue(key, fallback = null) {
+  seedStore();
+  const record = store.settings.get(key);
+  if (!record || typeof record.value === 'undefined' || record.value === null) {
+    return fallback;
+  }
+  return record.value;
+}
+
 function createSetting(key, value, metadata = {}) {
   const payload = {
     key,
@@ -830,6 +839,7 @@ module.exports = {
   deleteAnnouncement,
   publishAnnouncement,
   listSettings,
+  getSettingValue,
   createSetting,
   updateSetting,
   deleteSetting,
@@ -0,0 +1,169 @@
+const Auction = require('../models/mongo/Auction');
+const {
+  auctionEvents,
+  openScheduledAuction,
+  openScheduledAuctions,
+  closeAuctionIfDue,
+  closeExpiredAuctions,
+  expireSecondChanceOffer,
+  expireSecondChanceOffers,
+  getDutchPriceState,
+  refreshDutchPrice,
+  refreshDutchPrices
+} = require('./auctionService');
+const { getEndingSoonAt, notifyEndingSoon, notifyEndingSoonAuctions } = require('./watchlistService');
+
+// setTimeout이 허용하는 최대 지연 시간(약 24.8일). 이보다 먼 시각은 중간에 한 번 깨어나 다시 예약한다.
+const MAX_TIMEOUT_MS = 2147483647;
+const SWEEP_INTERVAL_MS = parseInt(process.env.AUCTION_SWEEP_INTERVAL_MS, 10) || 60 * 1000;
+
+const timers = new Map();
+let sweepTimer = null;
+
+function clearTimer(key) {
+  const timer = timers.get(key);
+  if (timer) {
+    clearTimeout(timer);
+    timers.delete(key);
+  }
+}
+
+function setTimer(key, at, handler) {
+  clearTimer(key);
+  const delay = Math.max(new Date(at).getTime() - Date.now(), 0);
+  const timer = setTimeout(() => {
+    timers.delete(key);
+    if (delay > MAX_TIMEOUT_MS) {
+      setTimer(key, at, handler);
+      return;
+    }
+    handler().catch((error) => {
+      console.error(`Auction scheduler task ${key} failed`, error);
+    });
+  }, Math.min(delay, MAX_TIMEOUT_MS));
+  timers.set(key, timer);
+}
+
+function clearAuctionTimers(auctionId) {
+  clearTimer(`${auctionId}:lifecycle`);
+  clearTimer(`${auctionId}:price`);
+  clearTimer(`${auctionId}:endingSoon`);
+}
+
+async function handleLifecycleDue(auctionId) {
+  const auction = await Auction.findById(auctionId);
+  if (!auction || !['SCHEDULED', 'OPEN'].includes(auction.status)) {
+    clearAuctionTimers(auctionId);
+    return;
+  }
+  const now = new Date();
+  if (auction.status === 'SCHEDULED' && auction.startTime <= now) {
+    const opened = await openScheduledAuction(auction._id);
+    armAuction(opened || (await Auction.findById(auctionId)));
+    return;
+  }
+  if (auction.status === 'OPEN' && auction.endTime <= now) {
+    const closed = await closeAuctionIfDue(auction._id);
+    if (closed) {
+      clearAuctionTimers(auctionId);
+      return;
+    }
+    // 다른 인스턴스가 먼저 종료했거나 그 사이 입찰·연장이 있었던 경우 최신 상태로 다시 예약한다.
+    armAuction(await Auction.findById(auctionId));
+    return;
+  }
+  armAuction(auction);
+}
+
+async function handlePriceDropDue(auctionId) {
+  const auction = await Auction.findById(auctionId);
+  if (!auction || auction.status !== 'OPEN') {
+    return;
+  }
+  const { nextDropAt } = await refreshDutchPrice(auction);
+  if (nextDropAt) {
+    setTimer(`${auctionId}:price`, nextDropAt, () => handlePriceDropDue(auctionId));
+  }
+}
+
+function armSecondChanceOffer(auction) {
+  const auctionId = String(auction._id);
+  const pending = (auction.secondChanceOffers || []).find((offer) => offer.status === 'PENDING');
+  if (pending) {
+    setTimer(`${auctionId}:offer`, pending.expiresAt, () => expireSecondChanceOffer(auctionId));
+  } else {
+    clearTimer(`${auctionId}:offer`);
+  }
+}
+
+// 경매 하나에 대해 다음 시작·마감 시각(가격 하락식이면 다음 가격 인하 시각 포함)과
+// 관심 목록 사용자에게 보낼 마감 1시간 전 알림 시각에 맞춰 타이머를 건다.
+// 종료된 경매는 진행 중인 차순위 구매 제안의 만료 시각만 예약한다.
+function armAuction(auction) {
+  if (!auction) {
+    return;
+  }
+  const auctionId = String(auction._id);
+  if (auction.status === 'CLOSED') {
+    clearAuctionTimers(auctionId);
+    armSecondChanceOffer(auction);
+    return;
+  }
+  if (auction.status !== 'SCHEDULED' && auction.status !== 'OPEN') {
+    clearAuctionTimers(auctionId);
+    return;
+  }
+  const dueAt = auction.status === 'SCHEDULED' ? auction.startTime : auction.endTime;
+  setTimer(`${auctionId}:lifecycle`, dueAt, () => handleLifecycleDue(auctionId));
+  if (!auction.endingSoonNotifiedAt) {
+    setTimer(`${auctionId}:endingSoon`, getEndingSoonAt(auction), () => notifyEndingSoon(auctionId));
+  }
+
+  if (auction.type === 'DUTCH' && auction.status === 'OPEN') {
+    const { nextDropAt } = getDutchPriceState(auction);
+    if (nextDropAt) {
+      setTimer(`${auctionId}:price`, nextDropAt, () => handlePriceDropDue(auctionId));
+    } else {
+      clearTimer(`${auctionId}:price`);
+    }
+  }
+}
+
+async function sweep() {
+  await openScheduledAuctions();
+  await closeExpiredAuctions();
+  await refreshDutchPrices();
+  await expireSecondChanceOffers();
+  await notifyEndingSoonAuctions();
+}
+
+// 부팅 시 밀린 시작·종료를 처리하고 Mongo에 남아 있는 모든 예약·진행 중 경매의 타이머를 다시 건다.
+// 주기적인 점검은 다른 인스턴스에서 생성된 경매처럼 이 프로세스가 타이머를 갖지 못한 경우를 보완한다.
+async function startAuctionScheduler() {
+  await sweep();
+  const auctions = await Auction.find({
+    $or: [{ status: { $in: ['SCHEDULED', 'OPEN'] } }, { 'secondChanceOffers.status': 'PENDING' }]
+  });
+  auctions.forEach(armAuction);
+  auctionEvents.on('lifecycleChanged', armAuction);
+
+  if (!sweepTimer) {
+    sweepTimer = setInterval(() => {
+      sweep().catch((error) => {
+        console.error('Auction scheduler sweep failed', error);
+      });
+    }, SWEEP_INTERVAL_MS).unref();
+  }
+  return auctions.length;
+}
+
+function stopAuctionScheduler() {
+  auctionEvents.removeListener('lifecycleChanged', armAuction);
+  Array.from(timers.keys()).forEach(clearTimer);
+  if (sweepTimer) {
+    clearInterval(sweepTimer);
+    sweepTimer = null;
+  }
+}
+
+module.exports = { startAuctionScheduler, stopAuctionScheduler };
@@ -0,0 +1,133 @@
+const { listUserIdsWithMinReputation } = require('../models/userModel');
+const { MATERIAL_TYPES, SEMESTER_TERMS, normalizeCourseCode } = require('./courseService');
+
+const AUCTION_SORTS = {
+  endingSoon: { endTime: 1, createdAt: -1 },
+  newest: { createdAt: -1 },
+  priceAsc: { currentPrice: 1, endTime: 1 },
+  priceDesc: { currentPrice: -1, endTime: 1 },
+  mostBids: { bidCount: -1, endTime: 1 }
+};
+const MAX_SEARCH_KEYWORD_LENGTH = 100;
+const MAX_SEARCH_TERMS = 5;
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function readSearchText(value) {
+  return typeof value === 'string' ? value.normalize('NFC').trim().slice(0, MAX_SEARCH_KEYWORD_LENGTH) : '';
+}
+
+function parseSearchNumber(value, { min = 0, max = Infinity } = {}) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const numeric = Number(value);
+  return Number.isFinite(numeric) && numeric >= min && numeric <= max ? numeric : null;
+}
+
+// 목록 화면과 API가 같은 검색 조건을 쓰도록 쿼리 문자열을 정규화한다. 잘못된 값은 오류 대신 무시한다.
+function normalizeAuctionSearch(query = {}) {
+  const keyword = readSearchText(query.q);
+  let hasBids = null;
+  if (query.hasBids === 'true' || query.hasBids === true) {
+    hasBids = true;
+  } else if (query.hasBids === 'false' || query.hasBids === false) {
+    hasBids = false;
+  }
+  return {
+    q: keyword,
+    minPrice: parseSearchNumber(query.minPrice),
+    maxPrice: parseSearchNumber(query.maxPrice),
+    endingWithinHours: parseSearchNumber(query.endingWithinHours, { min: 0.1 }),
+    hasBids,
+    minReputation: parseSearchNumber(query.minReputation, { max: 5 }),
+    department: readSearchText(query.department),
+    courseCode: normalizeCourseCode(readSearchText(query.courseCode)),
+    courseName: readSearchText(query.courseName),
+    professor: readSearchText(query.professor),
+    year: parseSearchNumber(query.year, { min: 1900, max: 9999 }),
+    term: Object.prototype.hasOwnProperty.call(SEMESTER_TERMS, query.term) ? query.term : null,
+    materialType: Object.prototype.hasOwnProperty.call(MATERIAL_TYPES, query.materialType) ? query.materialType : null,
+    sort: Object.prototype.hasOwnProperty.call(AUCTION_SORTS, query.sort) ? query.sort : null
+  };
+}
+
+// Mongo 텍스트 인덱스는 한국어를 형태소 단위로 나누지 못해 부분 일치가 되지 않으므로,
+// 공백으로 나눈 검색어가 모두 제목이나 설명 어딘가에 포함된 경매를 정규식으로 찾는다.
+// 평판 조건은 findSellerIds로 조건을 만족하는 판매자 목록을 구한다. 판매자를 이미 아는 쪽은 DB 조회 없이 넘길 수 있다.
+async function buildSearchQuery(search = {}, { findSellerIds = listUserIdsWithMinReputation } = {}) {
+  const conditions = [];
+  if (search.q) {
+    search.q
+      .split(/\s+/)
+      .filter(Boolean)
+      .slice(0, MAX_SEARCH_TERMS)
+      .forEach((term) => {
+        const pattern = new RegExp(escapeRegExp(term), 'i');
+        conditions.push({ $or: [{ title: pattern }, { description: pattern }] });
+      });
+  }
+  if (search.minPrice !== null && search.minPrice !== undefined) {
+    conditions.push({ currentPrice: { $gte: search.minPrice } });
+  }
+  if (search.maxPrice !== null && search.maxPrice !== undefined) {
+    conditions.push({ currentPrice: { $lte: search.maxPrice } });
+  }
+  if (search.endingWithinHours) {
+    const now = new Date();
+    const endingBy = new Date(now.getTime() + search.endingWithinHours * 60 * 60 * 1000);
+    conditions.push({ endTime: { $gt: now, $lte: endingBy } });
+  }
+  if (search.hasBids === true) {
+    conditions.push({ 'bids.0': { $exists: true } });
+  } else if (search.hasBids === false) {
+    conditions.push({ bids: { $size: 0 } });
+  }
+  if (search.minReputation !== null && search.minReputation !== undefined) {
+    // 평판 점수는 MariaDB에 있으므로 조건을 만족하는 판매자 목록으로 바꿔 거른다.
+    conditions.push({ sellerId: { $in: await findSellerIds(search.minReputation) } });
+  }
+  // 학과·과목 코드는 둘러보기 화면의 링크로 들어오므로 정확히 일치시키고, 과목명·교수는 부분 일치로 찾는다.
+  if (search.department) {
+    conditions.push({ 'academic.department': search.department });
+  }
+  if (search.courseCode) {
+    conditions.push({ 'academic.courseCode': search.courseCode });
+  }
+  if (search.courseName) {
+    conditions.push({ 'academic.courseName': new RegExp(escapeRegExp(search.courseName), 'i') });
+  }
+  if (search.professor) {
+    conditions.push({ 'academic.professor': new RegExp(escapeRegExp(search.professor), 'i') });
+  }
+  if (search.year) {
+    conditions.push({ 'academic.year': search.year });
+  }
+  if (search.term) {
+    conditions.push({ 'academic.term': search.term });
+  }
+  if (search.materialType) {
+    conditions.push({ 'academic.materialType': search.materialType });
+  }
+  return conditions.length ? { $and: conditions } : {};
+}
+
+// 정규화된 검색 조건 중 값이 있는 항목만 쿼리 문자열로 되돌린다. 목록의 페이지 이동 링크와 저장한 검색 링크가 함께 쓴다.
+function buildSearchQueryString(search) {
+  const params = new URLSearchParams();
+  Object.entries(search).forEach(([key, value]) => {
+    if (value !== null && value !== undefined && value !== '') {
+      params.set(key, String(value));
+    }
+  });
+  return params.toString();
+}
+
+module.exports = {
+  AUCTION_SORTS,
+  normalizeAuctionSearch,
+  buildSearchQuery,
+  buildSearchQueryString
+};
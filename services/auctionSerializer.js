@@ -0,0 +1,215 @@
+const Auction = require('../models/mongo/Auction');
+
+// 경매를 JSON 응답과 소켓 이벤트로 내보낼 때 거치는 단일 관문.
+// 허용 목록에 있는 필드만 복사하므로 모델에 필드가 추가돼도 여기서 명시하기 전까지는 노출되지 않는다.
+// 보는 사람에 따라 public(누구나) < participant(입찰·제안 당사자) < seller < admin 순으로 더 많은 정보를 담는다.
+
+const PUBLIC_FIELDS = [
+  'title',
+  'type',
+  'description',
+  'sellerNickname',
+  'startPrice',
+  'currentPrice',
+  'buyNowPrice',
+  'buyNowDisabledAt',
+  'startTime',
+  'endTime',
+  'originalEndTime',
+  'softClose',
+  'dutchSchedule',
+  'extensions',
+  'academic',
+  'relistedFrom',
+  'relistedTo',
+  'status',
+  'winningBidAmount',
+  'closeReason',
+  'result',
+  'bidsRevealedAt',
+  'closedAt',
+  'cancelledAt',
+  'cancelReason',
+  'createdAt',
+  'updatedAt'
+];
+
+const SELLER_FIELDS = ['sellerId', 'reservePrice', 'fileOriginalName', 'winnerNickname', 'draft'];
+
+const ADMIN_FIELDS = ['winnerId', 'revisions'];
+
+function pickFields(source, fields) {
+  return fields.reduce((picked, field) => {
+    if (source[field] !== undefined) {
+      picked[field] = source[field];
+    }
+    return picked;
+  }, {});
+}
+
+function isParticipant(auction, viewerId) {
+  const matches = (entry) => Number(entry.bidderId) === viewerId;
+  return (
+    (auction.bids || []).some(matches) ||
+    (auction.secondChanceOffers || []).some(matches) ||
+    (auction.defaults || []).some(matches)
+  );
+}
+
+function resolveViewerRole(auction, viewer) {
+  if (!viewer) {
+    return 'public';
+  }
+  if (viewer.isAdmin) {
+    return 'admin';
+  }
+  const viewerId = Number(viewer.id);
+  if (auction.sellerId === viewerId) {
+    return 'seller';
+  }
+  return isParticipant(auction, viewerId) ? 'participant' : 'public';
+}
+
+function serializeAuction(auction, viewer = null) {
+  const source = auction.toObject({ depopulate: true });
+  const role = resolveViewerRole(auction, viewer);
+  const viewerId = viewer ? Number(viewer.id) : null;
+  const aliases = auction.getBidderAliases();
+  const revealIdentities = role === 'admin';
+  const isMine = (entry) => viewerId !== null && Number(entry.bidderId) === viewerId;
+  const withBidder = (entry, fields) => ({
+    bidderAlias: aliases.get(Number(entry.bidderId)) || null,
+    ...pickFields(entry, fields),
+    isMine: isMine(entry),
+    ...(revealIdentities ? { bidderId: entry.bidderId, bidderNickname: entry.bidderNickname } : {})
+  });
+  // 밀봉 입찰은 종료 전까지 누구에게도(관리자 포함) 다른 사람의 입찰을 보여주지 않는다.
+  const bidsHidden = auction.bidsHidden;
+  const visibleBids = bidsHidden ? source.bids.filter(isMine) : source.bids;
+  const viewerContext = auction.describeViewer(viewer);
+
+  const serialized = {
+    id: String(source._id),
+    ...pickFields(source, PUBLIC_FIELDS),
+    bids: visibleBids.map((bid) => withBidder(bid, ['amount', 'isAuto', 'createdAt'])),
+    bidCount: source.bids.length,
+    bidsHidden,
+    hasReserve: auction.hasReserve,
+    reserveMet: auction.reserveMet,
+    buyNowAvailable: Auction.isBuyNowAvailable(auction),
+    winnerAlias: auction.winnerAlias,
+    // 미리보기는 저장 경로 대신 경매 라우트의 주소만 알려준다.
+    previewUrls: (source.previewPaths || []).map((_, index) => `/auctions/${source._id}/previews/${index}`),
+    reviews: (source.reviews || []).map((review) => withBidder(review, ['score', 'comment', 'createdAt'])),
+    viewer: {
+      role,
+      bidderAlias: viewerContext.bidderAlias,
+      hasBid: viewerContext.hasBid,
+      isSeller: viewerContext.isSeller,
+      isWinner: viewerContext.isWinner
+    }
+  };
+
+  if (role === 'participant') {
+    if (viewerContext.isWinner) {
+      serialized.winnerNickname = viewerContext.winnerNickname;
+    }
+    const offer = (source.secondChanceOffers || []).find(isMine);
+    serialized.secondChanceOffer = offer
+      ? pickFields(offer, ['amount', 'status', 'expiresAt', 'respondedAt', 'createdAt'])
+      : null;
+  }
+
+  if (role === 'seller' || role === 'admin') {
+    Object.assign(serialized, pickFields(source, SELLER_FIELDS), {
+      secondChanceOffers: (source.secondChanceOffers || []).map((offer) =>
+        withBidder(offer, ['amount', 'status', 'expiresAt', 'respondedAt', 'createdAt'])
+      ),
+      defaults: (source.defaults || []).map((entry) => withBidder(entry, ['amount', 'createdAt']))
+    });
+  }
+
+  if (role === 'admin') {
+    Object.assign(serialized, pickFields(source, ADMIN_FIELDS));
+  }
+
+  return serialized;
+}
+
+function serializeAuctions(auctions, viewer = null) {
+  return auctions.map((auction) => serializeAuction(auction, viewer));
+}
+
+// 실시간 갱신에 필요한 항목만 추린 소켓 이벤트용 형태. 상세 응답과 같은 규칙으로 만든다.
+function serializeAuctionUpdate(auction, viewer = null) {
+  const serialized = serializeAuction(auction, viewer);
+  return {
+    auctionId: serialized.id,
+    ...pickFields(serialized, [
+      'type',
+      'currentPrice',
+      'bids',
+      'bidCount',
+      'bidsHidden',
+      'bidsRevealedAt',
+      'endTime',
+      'status',
+      'winnerAlias',
+      'winningBidAmount',
+      'buyNowPrice',
+      'buyNowAvailable',
+      'closeReason',
+      'result',
+      'hasReserve',
+      'reserveMet'
+    ]),
+    cancelledAt: serialized.cancelledAt || null,
+    cancelReason: serialized.cancelReason || null,
+    winnerNickname: serialized.winnerNickname || null,
+    viewerHasBid: serialized.viewer.hasBid,
+    viewerIsWinner: serialized.viewer.isWinner
+  };
+}
+
+// 마감 연장(또는 철회로 인한 연장 취소) 소켓 이벤트. 누구에게나 같은 공개 내용이다.
+function serializeAuctionExtended(auction, extension) {
+  return {
+    auctionId: String(auction._id),
+    previousEndTime: extension.previousEndTime,
+    endTime: auction.endTime,
+    extensionMinutes: auction.softClose ? auction.softClose.extensionMinutes : null,
+    totalExtensions: (auction.extensions || []).length
+  };
+}
+
+// 관심 경매·저장한 검색 알림 소켓 이벤트. 받는 사람이 누구든 경매의 공개 항목(ID, 제목)만 담는다.
+function serializeAuctionAlert(auction, { type = null, savedSearchId = null, message }) {
+  return {
+    auctionId: String(auction._id),
+    title: auction.title,
+    ...(type ? { type } : {}),
+    ...(savedSearchId !== null ? { savedSearchId } : {}),
+    message,
+    createdAt: new Date()
+  };
+}
+
+function serializeReview(auction, review, viewer = null) {
+  const viewerId = viewer ? Number(viewer.id) : null;
+  return {
+    bidderAlias: auction.getBidderAliases().get(Number(review.bidderId)) || null,
+    score: review.score,
+    comment: review.comment,
+    createdAt: review.createdAt,
+    isMine: viewerId !== null && Number(review.bidderId) === viewerId
+  };
+}
+
+module.exports = {
+  serializeAuction,
+  serializeAuctions,
+  serializeAuctionUpdate,
+  serializeAuctionExtended,
+  serializeAuctionAlert,
+  serializeReview
+};
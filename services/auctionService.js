@@ -1,29 +1,282 @@
 const path = require('path');
 const fs = require('fs');
+const { EventEmitter } = require('events');
 const Auction = require('../models/mongo/Auction');
-const { recordBidLog } = require('../models/bidLogModel');
-const { broadcastBidUpdate } = require('./socketService');
+const { recordBidLogs, recordBidRetraction } = require('../models/bidLogModel');
+const { recordStrike, applyReputationPenalty } = require('../models/userModel');
+const { broadcastBidUpdate, broadcastPriceUpdate, broadcastAuctionExtended } = require('./socketService');
+const { notifyWatchers } = require('./watchlistService');
+const { listWatchAlerts } = require('../models/watchlistModel');
+const { notifySavedSearchMatches, buildSavedSearchAlertMessage } = require('./savedSearchService');
+const { listSavedSearchAlerts } = require('../models/savedSearchModel');
+const { getSettingValue } = require('./adminApiStore');
+const { buildAcademicFields } = require('./courseService');
+const { AUCTION_SORTS, buildSearchQuery } = require('./auctionSearch');
+const { deletePreviewImages } = require('./previewService');
+const { deleteBuyerCopies } = require('./watermarkService');
+
+const MAX_BID_ATTEMPTS = 3;
+
+// 경매의 시작·마감 시각이 바뀔 때 발생한다. 수명주기 스케줄러가 구독해 타이머를 다시 설정한다.
+const auctionEvents = new EventEmitter();
+const AUCTION_TYPES = ['ENGLISH', 'SEALED', 'DUTCH'];
+
+const DEFAULT_SOFT_CLOSE_RULES = {
+  defaultWindowMinutes: 1,
+  defaultExtensionMinutes: 1,
+  defaultMaxExtensionMinutes: 10,
+  maxWindowMinutes: 10,
+  maxExtensionMinutes: 10,
+  maxTotalExtensionMinutes: 60
+};
+
+const DEFAULT_BID_INCREMENT_TIERS = [
+  { upTo: 5000, increment: 100 },
+  { upTo: 50000, increment: 500 },
+  { upTo: null, increment: 1000 }
+];
+
+// 호가 단위표 설정 값을 검사해 upTo 오름차순으로 정리한다. upTo가 없는 구간은 마지막 구간이며,
+// 모든 금액이 가장 작은 호가 단위의 배수여야 하므로 각 단위도 가장 작은 단위의 배수여야 한다.
+// 형식이 맞지 않으면 status 400 오류를 던진다.
+function normalizeBidIncrementTiers(configured) {
+  const invalid = (message) => Object.assign(new Error(message), { status: 400 });
+  if (!Array.isArray(configured) || !configured.length) {
+    throw invalid('호가 단위표는 비어 있지 않은 배열이어야 합니다.');
+  }
+  const tiers = configured.map((tier) => ({
+    upTo: tier && tier.upTo !== undefined && tier.upTo !== null && tier.upTo !== '' ? Number(tier.upTo) : null,
+    increment: Number(tier && tier.increment)
+  }));
+  const wellFormed = tiers.every(
+    (tier) =>
+      Number.isInteger(tier.increment) &&
+      tier.increment > 0 &&
+      (tier.upTo === null || (Number.isInteger(tier.upTo) && tier.upTo > 0))
+  );
+  if (!wellFormed) {
+    throw invalid('호가 단위표의 upTo와 increment는 양의 정수여야 합니다.');
+  }
+  const unit = Math.min(...tiers.map((tier) => tier.increment));
+  const offTier = tiers.find((tier) => tier.increment % unit !== 0);
+  if (offTier) {
+    throw invalid(`호가 단위 ${offTier.increment}은(는) 가장 작은 단위 ${unit}의 배수여야 합니다.`);
+  }
+  return tiers.sort((left, right) => {
+    if (left.upTo === null) return 1;
+    if (right.upTo === null) return -1;
+    return left.upTo - right.upTo;
+  });
+}
+
+// 같은 잘못된 설정을 입찰마다 다시 기록하지 않도록 마지막으로 경고한 값을 기억한다.
+let lastInvalidTiersWarning = null;
+
+// 관리자 설정(bidIncrementTiers)의 호가 단위표. 설정이 없거나 잘못되었으면 기본표를 사용하고,
+// 잘못된 설정은 조용히 넘기지 않고 로그로 남긴다.
+function getBidIncrementTiers() {
+  const configured = getSettingValue('bidIncrementTiers', null);
+  if (configured === null) {
+    return DEFAULT_BID_INCREMENT_TIERS.map((tier) => ({ ...tier }));
+  }
+  try {
+    return normalizeBidIncrementTiers(configured);
+  } catch (error) {
+    const snapshot = JSON.stringify(configured);
+    if (snapshot !== lastInvalidTiersWarning) {
+      lastInvalidTiersWarning = snapshot;
+      console.warn(`bidIncrementTiers 설정이 올바르지 않아 기본 호가 단위표를 사용합니다: ${error.message}`);
+    }
+    return DEFAULT_BID_INCREMENT_TIERS.map((tier) => ({ ...tier }));
+  }
+}
+
+// 주어진 가격 구간에 적용되는 최소 호가 단위. 마지막 구간을 넘는 가격에는 마지막 구간의 단위를 적용한다.
+function getBidIncrement(price, tiers = getBidIncrementTiers()) {
+  const tier = tiers.find((entry) => entry.upTo === null || price < entry.upTo);
+  return (tier || tiers[tiers.length - 1]).increment;
+}
+
+// 모든 금액은 가장 작은 호가 단위의 배수여야 한다.
+function getBidUnit(tiers = getBidIncrementTiers()) {
+  return Math.min(...tiers.map((tier) => tier.increment));
+}
+
+function formatWon(amount) {
+  return `${Number(amount).toLocaleString('ko-KR')}원`;
+}
+
+function getMinimumBid(auction, tiers = getBidIncrementTiers()) {
+  const currentPrice = Number(auction.currentPrice);
+  return currentPrice + getBidIncrement(currentPrice, tiers);
+}
+
+function getSoftCloseRules() {
+  const configured = getSettingValue('softCloseRules', {});
+  const rules = { ...DEFAULT_SOFT_CLOSE_RULES };
+  if (configured && typeof configured === 'object') {
+    Object.keys(DEFAULT_SOFT_CLOSE_RULES).forEach((key) => {
+      const numeric = Number(configured[key]);
+      if (Number.isInteger(numeric) && numeric >= 0) {
+        rules[key] = numeric;
+      }
+    });
+  }
+  return rules;
+}
+
+function normalizeSoftCloseMinutes(value, { fallback, min, max, label }) {
+  if (value === undefined || value === null || value === '') {
+    return fallback;
+  }
+  const numeric = Number(value);
+  if (!Number.isInteger(numeric) || numeric < min || numeric > max) {
+    throw Object.assign(new Error(`${label}은(는) ${min}분에서 ${max}분 사이의 정수여야 합니다.`), {
+      status: 400
+    });
+  }
+  return numeric;
+}
+
+function buildSoftClose({ windowMinutes, extensionMinutes, maxExtensionMinutes } = {}) {
+  const rules = getSoftCloseRules();
+  return {
+    windowMinutes: normalizeSoftCloseMinutes(windowMinutes, {
+      fallback: Math.min(rules.defaultWindowMinutes, rules.maxWindowMinutes),
+      min: 0,
+      max: rules.maxWindowMinutes,
+      label: '연장 감지 구간'
+    }),
+    extensionMinutes: normalizeSoftCloseMinutes(extensionMinutes, {
+      fallback: Math.min(rules.defaultExtensionMinutes, rules.maxExtensionMinutes),
+      min: 1,
+      max: Math.max(rules.maxExtensionMinutes, 1),
+      label: '연장 시간'
+    }),
+    maxExtensionMinutes: normalizeSoftCloseMinutes(maxExtensionMinutes, {
+      fallback: Math.min(rules.defaultMaxExtensionMinutes, rules.maxTotalExtensionMinutes),
+      min: 0,
+      max: rules.maxTotalExtensionMinutes,
+      label: '최대 연장 시간'
+    })
+  };
+}
+
+// 마감 직전 입찰 시 판매자가 정한 규칙에 따라 마감 시간을 연장한다.
+// 총 연장 시간이 상한에 도달하면 더 이상 연장하지 않으며, 연장 이력은 경매 문서에 남긴다.
+function applySoftClose(auction, now, bidAmount) {
+  const rules = auction.softClose || buildSoftClose();
+  const windowMs = rules.windowMinutes * 60 * 1000;
+  const endTime = auction.endTime.getTime();
+  if (windowMs <= 0 || endTime - now.getTime() > windowMs) {
+    return null;
+  }
+  if (!auction.originalEndTime) {
+    auction.originalEndTime = auction.endTime;
+  }
+  const usedMs = endTime - auction.originalEndTime.getTime();
+  const remainingMs = rules.maxExtensionMinutes * 60 * 1000 - usedMs;
+  const extensionMs = Math.min(rules.extensionMinutes * 60 * 1000, remainingMs);
+  if (extensionMs <= 0) {
+    return null;
+  }
+  const extension = {
+    previousEndTime: auction.endTime,
+    newEndTime: new Date(endTime + extensionMs),
+    bidAmount,
+    createdAt: now
+  };
+  auction.endTime = extension.newEndTime;
+  auction.extensions.push(extension);
+  return extension;
+}
+
+// 가격 하락식(더치) 경매의 현재가는 저장된 값이 아니라 일정에서 계산한다.
+// 시작 시각부터 intervalMinutes마다 dropAmount씩 내려가며 floorPrice 아래로는 내려가지 않는다.
+function getDutchPriceState(auction, now = new Date()) {
+  const schedule = auction.dutchSchedule;
+  if (auction.type !== 'DUTCH' || !schedule) {
+    return { currentPrice: auction.currentPrice, nextDropAt: null };
+  }
+  const intervalMs = schedule.intervalMinutes * 60 * 1000;
+  const startedAt = new Date(schedule.startedAt).getTime();
+  const elapsedSteps = Math.max(Math.floor((now.getTime() - startedAt) / intervalMs), 0);
+  const currentPrice = Math.max(auction.startPrice - elapsedSteps * schedule.dropAmount, schedule.floorPrice);
+  let nextDropAt = null;
+  if (currentPrice > schedule.floorPrice) {
+    const nextDrop = new Date(startedAt + (elapsedSteps + 1) * intervalMs);
+    nextDropAt = nextDrop < new Date(auction.endTime) ? nextDrop : null;
+  }
+  return { currentPrice, nextDropAt };
+}
+
+function buildDutchSchedule({ floorPrice, dropAmount, intervalMinutes }, startPrice, startedAt) {
+  const bidUnit = getBidUnit();
+  const normalizedFloor = Number(floorPrice);
+  if (!Number.isInteger(normalizedFloor) || normalizedFloor < bidUnit || normalizedFloor % bidUnit !== 0) {
+    throw Object.assign(new Error(`최저가는 ${formatWon(bidUnit)} 단위로 ${formatWon(bidUnit)} 이상이어야 합니다.`), {
+      status: 400
+    });
+  }
+  if (normalizedFloor >= startPrice) {
+    throw Object.assign(new Error('최저가는 시작가보다 낮아야 합니다.'), { status: 400 });
+  }
+  const normalizedDrop = Number(dropAmount);
+  if (!Number.isInteger(normalizedDrop) || normalizedDrop < bidUnit || normalizedDrop % bidUnit !== 0) {
+    throw Object.assign(
+      new Error(`가격 인하 폭은 ${formatWon(bidUnit)} 단위로 ${formatWon(bidUnit)} 이상이어야 합니다.`),
+      { status: 400 }
+    );
+  }
+  const normalizedInterval = Number(intervalMinutes);
+  if (!Number.isInteger(normalizedInterval) || normalizedInterval < 1) {
+    throw Object.assign(new Error('가격 인하 주기는 1분 이상의 정수여야 합니다.'), { status: 400 });
+  }
+  return {
+    floorPrice: normalizedFloor,
+    dropAmount: normalizedDrop,
+    intervalMinutes: normalizedInterval,
+    startedAt
+  };
+}
 
 function buildSort(status) {
+  if (status === 'DRAFT') {
+    return { updatedAt: -1 };
+  }
+  if (status === 'CANCELLED') {
+    return { cancelledAt: -1 };
+  }
   if (status === 'CLOSED') {
     return { closedAt: -1, endTime: -1 };
   }
+  if (status === 'SCHEDULED') {
+    return { startTime: 1, createdAt: -1 };
+  }
   return { endTime: 1, createdAt: -1 };
 }
 
-async function listAuctions({ page = 1, limit = 20, status, sellerId }) {
+async function listAuctions({ page = 1, limit = 20, status, sellerId, search = {} }) {
   const skip = (page - 1) * limit;
-  const query = {};
-  if (status) {
-    query.status = status;
-  }
+  // 취소된 경매는 상태를 명시해 요청할 때만 목록에 포함하고, 임시 저장본은 판매자 본인 외에는 보이지 않는다.
+  const query = { status: status || { $nin: ['CANCELLED', 'DRAFT'] }, ...(await buildSearchQuery(search)) };
   if (typeof sellerId !== 'undefined') {
     query.sellerId = sellerId;
   }
-  const [items, total] = await Promise.all([
-    Auction.find(query).sort(buildSort(status)).skip(skip).limit(limit),
-    Auction.countDocuments(query)
-  ]);
+  const sort = search.sort ? AUCTION_SORTS[search.sort] : buildSort(status);
+  // 입찰 수 정렬은 배열 길이를 계산해야 하므로 집계로 조회한 뒤 문서로 되돌린다.
+  const itemsQuery =
+    search.sort === 'mostBids'
+      ? Auction.aggregate([
+          { $match: query },
+          { $addFields: { bidCount: { $size: '$bids' } } },
+          { $sort: sort },
+          { $skip: skip },
+          { $limit: limit },
+          { $project: { proxyBids: 0, bidCount: 0 } }
+        ]).then((rows) => rows.map((row) => Auction.hydrate(row)))
+      : Auction.find(query).sort(sort).skip(skip).limit(limit);
+  const [items, total] = await Promise.all([itemsQuery, Auction.countDocuments(query)]);
   return {
     items,
     total,
@@ -32,36 +285,72 @@ async function listAuctions({ page = 1, limit = 20, status, sellerId }) {
   };
 }
 
+function findHighestBid(bids) {
+  return bids.reduce((max, bid) => {
+    if (!max || bid.amount > max.amount) {
+      return bid;
+    }
+    return max;
+  }, null);
+}
+
+// 밀봉 입찰(차가 경매)은 최고 입찰자가 낙찰받되, 다른 입찰자의 최고 입찰가보다 한 호가 단위 높은
+// 금액(입찰자가 한 명이면 시작가)을 지불한다. 최저 낙찰가가 있으면 그 금액 아래로 내려가지 않는다.
+function determineSealedPrice(auction, highestBid) {
+  const runnerUp = findHighestBid(auction.bids.filter((bid) => bid.bidderId !== highestBid.bidderId));
+  let price = runnerUp ? runnerUp.amount + getBidIncrement(runnerUp.amount) : auction.startPrice;
+  price = Math.max(price, auction.startPrice, auction.reservePrice || 0);
+  return Math.min(price, highestBid.amount);
+}
+
 function determineWinner(auction) {
   if (!auction.bids.length) {
     auction.winnerId = null;
     auction.winnerNickname = null;
     auction.winningBidAmount = null;
+    auction.result = 'NO_BIDS';
+    return;
+  }
+  const highestBid = findHighestBid(auction.bids);
+  if (auction.reservePrice && highestBid.amount < auction.reservePrice) {
+    auction.winnerId = null;
+    auction.winnerNickname = null;
+    auction.winningBidAmount = null;
+    auction.result = 'RESERVE_NOT_MET';
     return;
   }
-  const highestBid = auction.bids.reduce((max, bid) => {
-    if (!max || bid.amount > max.amount) {
-      return bid;
-    }
-    return max;
-  }, null);
   auction.winnerId = highestBid.bidderId;
   auction.winnerNickname = highestBid.bidderNickname;
   auction.winningBidAmount = highestBid.amount;
+  if (auction.type === 'SEALED') {
+    auction.winningBidAmount = determineSealedPrice(auction, highestBid);
+    auction.currentPrice = auction.winningBidAmount;
+  }
+  auction.result = 'SOLD';
+}
+
+function markAuctionClosed(auction) {
+  determineWinner(auction);
+  auction.status = 'CLOSED';
+  if (!auction.closeReason) {
+    auction.closeReason = 'ENDED';
+  }
+  if (!auction.closedAt) {
+    auction.closedAt = new Date();
+  }
+  if (auction.type === 'SEALED' && !auction.bidsRevealedAt) {
+    auction.bidsRevealedAt = auction.closedAt;
+  }
 }
 
 async function finalizeAuction(auction) {
   if (!auction) {
     return auction;
   }
-  if (auction.status === 'CLOSED' && (auction.winnerId || !auction.bids.length)) {
+  if (auction.status === 'CLOSED' && (auction.result || auction.winnerId || !auction.bids.length)) {
     return auction;
   }
-  determineWinner(auction);
-  auction.status = 'CLOSED';
-  if (!auction.closedAt) {
-    auction.closedAt = new Date();
-  }
+  markAuctionClosed(auction);
   await auction.save();
   broadcastBidUpdate(auction);
   return auction;
@@ -71,44 +360,616 @@ async function getAuctionById(id) {
   return Auction.findById(id);
 }
 
-async function createAuction({ title, description, startPrice, endTime, sellerId, sellerNickname, file }) {
+// 경매 등록과 임시 저장본 게시가 같은 검증을 거치도록, 입력값을 검증해 저장할 필드로 만든다.
+function buildAuctionFields({
+  title,
+  type,
+  description,
+  startPrice,
+  buyNowPrice,
+  reservePrice,
+  startTime,
+  endTime,
+  softClose,
+  dutchSchedule,
+  sellerId,
+  sellerNickname,
+  file
+}) {
+  if (!title || !String(title).trim()) {
+    throw Object.assign(new Error('제목은 필수입니다.'), { status: 400 });
+  }
+  if (!description || !String(description).trim()) {
+    throw Object.assign(new Error('설명은 필수입니다.'), { status: 400 });
+  }
+  if (!file) {
+    throw Object.assign(new Error('파일은 필수입니다.'), { status: 400 });
+  }
+  const normalizedEndTime = new Date(endTime);
+  if (!endTime || Number.isNaN(normalizedEndTime.getTime())) {
+    throw Object.assign(new Error('유효한 종료 시간을 입력하세요.'), { status: 400 });
+  }
+  if (normalizedEndTime <= new Date()) {
+    throw Object.assign(new Error('마감 시간은 현재 시각 이후여야 합니다.'), { status: 400 });
+  }
+  const bidUnit = getBidUnit();
   const normalizedStartPrice = Number(startPrice);
   if (
     !Number.isFinite(normalizedStartPrice) ||
     !Number.isInteger(normalizedStartPrice) ||
-    normalizedStartPrice < 100 ||
-    normalizedStartPrice % 100 !== 0
+    normalizedStartPrice < bidUnit ||
+    normalizedStartPrice % bidUnit !== 0
   ) {
-    throw new Error('시작가는 100원 단위로 100원 이상이어야 합니다.');
+    throw Object.assign(new Error(`시작가는 ${formatWon(bidUnit)} 단위로 ${formatWon(bidUnit)} 이상이어야 합니다.`), {
+      status: 400
+    });
+  }
+  const normalizedType = type ? String(type).toUpperCase() : 'ENGLISH';
+  if (!AUCTION_TYPES.includes(normalizedType)) {
+    throw Object.assign(new Error('지원하지 않는 경매 방식입니다.'), { status: 400 });
   }
+  let normalizedBuyNowPrice = null;
+  if (buyNowPrice !== undefined && buyNowPrice !== null && buyNowPrice !== '') {
+    normalizedBuyNowPrice = Number(buyNowPrice);
+    if (
+      !Number.isFinite(normalizedBuyNowPrice) ||
+      !Number.isInteger(normalizedBuyNowPrice) ||
+      normalizedBuyNowPrice % bidUnit !== 0
+    ) {
+      throw Object.assign(new Error(`즉시 구매가는 ${formatWon(bidUnit)} 단위여야 합니다.`), { status: 400 });
+    }
+    if (normalizedBuyNowPrice <= normalizedStartPrice) {
+      throw Object.assign(new Error('즉시 구매가는 시작가보다 높아야 합니다.'), { status: 400 });
+    }
+    if (normalizedType !== 'ENGLISH') {
+      throw Object.assign(new Error('공개 입찰 경매에만 즉시 구매가를 설정할 수 있습니다.'), { status: 400 });
+    }
+  }
+  let normalizedReservePrice = null;
+  if (reservePrice !== undefined && reservePrice !== null && reservePrice !== '') {
+    normalizedReservePrice = Number(reservePrice);
+    if (
+      !Number.isFinite(normalizedReservePrice) ||
+      !Number.isInteger(normalizedReservePrice) ||
+      normalizedReservePrice % bidUnit !== 0
+    ) {
+      throw Object.assign(new Error(`최저 낙찰가는 ${formatWon(bidUnit)} 단위여야 합니다.`), { status: 400 });
+    }
+    if (normalizedReservePrice <= normalizedStartPrice) {
+      throw Object.assign(new Error('최저 낙찰가는 시작가보다 높아야 합니다.'), { status: 400 });
+    }
+    if (normalizedBuyNowPrice !== null && normalizedReservePrice > normalizedBuyNowPrice) {
+      throw Object.assign(new Error('최저 낙찰가는 즉시 구매가보다 높을 수 없습니다.'), { status: 400 });
+    }
+  }
+  if (normalizedType === 'DUTCH' && normalizedReservePrice !== null) {
+    throw Object.assign(new Error('가격 하락식 경매에는 최저 낙찰가 대신 최저가를 설정해주세요.'), { status: 400 });
+  }
+  const createdAt = new Date();
+  let normalizedStartTime = null;
+  if (startTime) {
+    normalizedStartTime = new Date(startTime);
+    if (Number.isNaN(normalizedStartTime.getTime())) {
+      throw Object.assign(new Error('유효한 시작 시간을 입력하세요.'), { status: 400 });
+    }
+    if (normalizedStartTime <= createdAt) {
+      normalizedStartTime = null;
+    } else if (normalizedStartTime >= normalizedEndTime) {
+      throw Object.assign(new Error('시작 시간은 마감 시간보다 앞서야 합니다.'), { status: 400 });
+    }
+  }
+  const normalizedDutchSchedule =
+    normalizedType === 'DUTCH'
+      ? buildDutchSchedule(dutchSchedule || {}, normalizedStartPrice, normalizedStartTime || createdAt)
+      : null;
+  const normalizedSoftClose = normalizedType === 'ENGLISH' ? buildSoftClose(softClose) : null;
   const numericSellerId = Number(sellerId);
   if (!Number.isFinite(numericSellerId) || !Number.isInteger(numericSellerId)) {
     throw new Error('유효한 판매자 정보를 확인할 수 없습니다.');
   }
-  const auction = new Auction({
-    title,
-    description,
+  return {
+    title: String(title).trim(),
+    type: normalizedType,
+    description: String(description).trim(),
     sellerId: numericSellerId,
     sellerNickname,
     startPrice: normalizedStartPrice,
     currentPrice: normalizedStartPrice,
-    endTime,
+    buyNowPrice: normalizedBuyNowPrice,
+    reservePrice: normalizedReservePrice,
+    startTime: normalizedStartTime || createdAt,
+    endTime: normalizedEndTime,
+    originalEndTime: normalizedEndTime,
+    softClose: normalizedSoftClose,
+    dutchSchedule: normalizedDutchSchedule,
+    createdAt,
+    status: normalizedStartTime ? 'SCHEDULED' : 'OPEN',
     filePath: file.path,
-    fileOriginalName: file.originalname
+    fileOriginalName: file.originalname,
+    previewPaths: file.previewPaths || []
+  };
+}
+
+// 재등록은 과목 목록에서 과목이 삭제됐더라도 원본 경매의 과목 정보를 그대로 이어받는다.
+async function createAuction({ relistedFrom = null, id = null, academic = {}, academicSnapshot = null, ...input }) {
+  const fields = buildAuctionFields(input);
+  const auction = new Auction({
+    ...(id ? { _id: id } : {}),
+    ...fields,
+    academic: academicSnapshot || (await buildAcademicFields(academic)),
+    relistedFrom
   });
   await auction.save();
   broadcastBidUpdate(auction);
+  auctionEvents.emit('lifecycleChanged', auction);
+  // 저장한 검색이 많으면 대조에 시간이 걸리므로 등록 응답을 기다리게 하지 않는다.
+  notifySavedSearchMatches(auction);
   return auction;
 }
 
-async function placeBid({ auctionId, bidderId, bidderNickname, amount }) {
-  const auction = await Auction.findById(auctionId);
-  if (!auction) {
+// 첫 입찰 전까지만 판매자가 제목, 설명, 마감 시간, 파일을 수정할 수 있다.
+function isAuctionEditable(auction) {
+  return (auction.status === 'SCHEDULED' || auction.status === 'OPEN') && auction.bids.length === 0;
+}
+
+// 변경된 항목만 수정 이력으로 남기고, 그 사이 입찰이 들어오지 않았을 때만 반영한다.
+// 파일을 교체한 경우 반영이 끝난 뒤 이전 파일을 지우고, 실패하면 새로 올린 파일을 지운다.
+async function updateAuction({ auctionId, sellerId, title, description, endTime, file }) {
+  let auction;
+  let updated;
+  try {
+    auction = await Auction.findById(auctionId);
+    if (!auction) {
+      throw Object.assign(new Error('경매를 찾을 수 없습니다.'), { status: 404 });
+    }
+    if (auction.sellerId !== Number(sellerId)) {
+      throw Object.assign(new Error('판매자만 경매를 수정할 수 있습니다.'), { status: 403 });
+    }
+    if (!isAuctionEditable(auction)) {
+      throw Object.assign(new Error('입찰이 시작되었거나 종료된 경매는 수정할 수 없습니다.'), { status: 400 });
+    }
+    const nextEndTime = new Date(endTime);
+    if (Number.isNaN(nextEndTime.getTime())) {
+      throw Object.assign(new Error('유효한 종료 시간을 입력하세요.'), { status: 400 });
+    }
+    const changes = [];
+    const updates = {};
+    const nextTitle = String(title || '').trim();
+    const nextDescription = String(description || '').trim();
+    if (nextTitle && nextTitle !== auction.title) {
+      changes.push({ field: 'title', previous: auction.title, next: nextTitle });
+      updates.title = nextTitle;
+    }
+    if (nextDescription && nextDescription !== auction.description) {
+      changes.push({ field: 'description', previous: auction.description, next: nextDescription });
+      updates.description = nextDescription;
+    }
+    // 수정 폼은 분 단위까지만 보내므로 같은 분이면 마감 시간을 바꾸지 않은 것으로 본다.
+    if (Math.floor(nextEndTime.getTime() / 60000) !== Math.floor(auction.endTime.getTime() / 60000)) {
+      if (nextEndTime <= new Date()) {
+        throw Object.assign(new Error('마감 시간은 현재 시각 이후여야 합니다.'), { status: 400 });
+      }
+      if (auction.status === 'SCHEDULED' && nextEndTime <= auction.startTime) {
+        throw Object.assign(new Error('마감 시간은 시작 시간 이후여야 합니다.'), { status: 400 });
+      }
+      changes.push({ field: 'endTime', previous: auction.endTime, next: nextEndTime });
+      updates.endTime = nextEndTime;
+      updates.originalEndTime = nextEndTime;
+      updates.endingSoonNotifiedAt = null;
+    }
+    if (file) {
+      changes.push({ field: 'file', previous: auction.fileOriginalName, next: file.originalname });
+      updates.filePath = file.path;
+      updates.fileOriginalName = file.originalname;
+      updates.previewPaths = file.previewPaths || [];
+    }
+    if (!changes.length) {
+      throw Object.assign(new Error('변경된 내용이 없습니다.'), { status: 400 });
+    }
+
+    updated = await Auction.findOneAndUpdate(
+      { _id: auction._id, status: auction.status, bids: { $size: 0 } },
+      {
+        $set: updates,
+        $push: { revisions: { editedBy: Number(sellerId), changes, createdAt: new Date() } }
+      },
+      { new: true }
+    );
+    if (!updated) {
+      throw Object.assign(new Error('그 사이 입찰이 들어와 경매를 수정할 수 없습니다.'), { status: 409 });
+    }
+  } catch (error) {
+    if (file) {
+      await deleteAuctionFile(file.path, file.previewPaths);
+    }
+    throw error;
+  }
+  if (file) {
+    await deleteAuctionFile(auction.filePath, auction.previewPaths);
+  }
+  broadcastBidUpdate(updated);
+  auctionEvents.emit('lifecycleChanged', updated);
+  return updated;
+}
+
+// 임시 저장본은 등록 폼 입력값을 검증 없이 그대로 보관했다가 게시할 때 한꺼번에 검증한다.
+const DRAFT_FIELDS = [
+  'type',
+  'startPrice',
+  'buyNowPrice',
+  'reservePrice',
+  'startTime',
+  'endTime',
+  'softCloseWindowMinutes',
+  'softCloseExtensionMinutes',
+  'softCloseMaxExtensionMinutes',
+  'floorPrice',
+  'priceDropAmount',
+  'priceDropIntervalMinutes',
+  'courseId',
+  'professor',
+  'semesterYear',
+  'semesterTerm',
+  'materialType'
+];
+
+function pickDraftFields(input = {}) {
+  return DRAFT_FIELDS.reduce((fields, key) => {
+    const value = input[key];
+    fields[key] = value === undefined || value === null ? '' : String(value).trim();
+    return fields;
+  }, {});
+}
+
+async function findDraftForSeller(draftId, sellerId) {
+  const draft = await Auction.findById(draftId);
+  if (!draft || draft.status !== 'DRAFT' || draft.sellerId !== Number(sellerId)) {
+    throw Object.assign(new Error('임시 저장된 경매를 찾을 수 없습니다.'), { status: 404 });
+  }
+  return draft;
+}
+
+// 제목만 있으면 언제든 임시 저장할 수 있다. 파일을 새로 올리면 이전 파일은 저장이 끝난 뒤 지운다.
+async function saveDraft({ draftId = null, sellerId, sellerNickname, input = {}, file = null }) {
+  let previousFile = null;
+  let draft;
+  try {
+    const title = String(input.title || '').trim();
+    if (!title) {
+      throw Object.assign(new Error('임시 저장하려면 제목을 입력하세요.'), { status: 400 });
+    }
+    const fields = {
+      title,
+      description: String(input.description || '').trim(),
+      draft: pickDraftFields(input),
+      ...(file
+        ? { filePath: file.path, fileOriginalName: file.originalname, previewPaths: file.previewPaths || [] }
+        : {})
+    };
+    if (draftId) {
+      const existing = await findDraftForSeller(draftId, sellerId);
+      previousFile = file ? { path: existing.filePath, previewPaths: existing.previewPaths } : null;
+      draft = await Auction.findOneAndUpdate(
+        { _id: existing._id, sellerId: existing.sellerId, status: 'DRAFT' },
+        { $set: fields },
+        { new: true }
+      );
+      if (!draft) {
+        throw Object.assign(new Error('임시 저장된 경매를 찾을 수 없습니다.'), { status: 404 });
+      }
+    } else {
+      draft = new Auction({ ...fields, sellerId: Number(sellerId), sellerNickname, status: 'DRAFT' });
+      await draft.save();
+    }
+  } catch (error) {
+    if (file) {
+      await deleteAuctionFile(file.path, file.previewPaths);
+    }
+    throw error;
+  }
+  if (previousFile) {
+    await deleteAuctionFile(previousFile.path, previousFile.previewPaths);
+  }
+  return draft;
+}
+
+// 게시 직전 입력값을 먼저 임시 저장해 두므로, 검증에 실패해도 작성한 내용은 사라지지 않는다.
+async function publishDraft({ draftId, sellerId, sellerNickname, input, file = null }) {
+  const draft = await saveDraft({ draftId, sellerId, sellerNickname, input, file });
+  const fields = draft.draft || {};
+  const auctionFields = buildAuctionFields({
+    title: draft.title,
+    type: fields.type,
+    description: draft.description,
+    startPrice: fields.startPrice,
+    buyNowPrice: fields.buyNowPrice,
+    reservePrice: fields.reservePrice,
+    startTime: fields.startTime,
+    endTime: fields.endTime,
+    softClose: {
+      windowMinutes: fields.softCloseWindowMinutes,
+      extensionMinutes: fields.softCloseExtensionMinutes,
+      maxExtensionMinutes: fields.softCloseMaxExtensionMinutes
+    },
+    dutchSchedule: {
+      floorPrice: fields.floorPrice,
+      dropAmount: fields.priceDropAmount,
+      intervalMinutes: fields.priceDropIntervalMinutes
+    },
+    sellerId: draft.sellerId,
+    sellerNickname: draft.sellerNickname,
+    file: draft.filePath
+      ? { path: draft.filePath, originalname: draft.fileOriginalName, previewPaths: draft.previewPaths }
+      : null
+  });
+  auctionFields.academic = await buildAcademicFields({
+    courseId: fields.courseId,
+    professor: fields.professor,
+    year: fields.semesterYear,
+    term: fields.semesterTerm,
+    materialType: fields.materialType
+  });
+  const published = await Auction.findOneAndUpdate(
+    { _id: draft._id, sellerId: draft.sellerId, status: 'DRAFT' },
+    { $set: auctionFields, $unset: { draft: 1 } },
+    { new: true }
+  );
+  if (!published) {
+    throw Object.assign(new Error('임시 저장된 경매를 찾을 수 없습니다.'), { status: 404 });
+  }
+  broadcastBidUpdate(published);
+  auctionEvents.emit('lifecycleChanged', published);
+  notifySavedSearchMatches(published);
+  return published;
+}
+
+async function deleteDraft({ draftId, sellerId }) {
+  const draft = await Auction.findOneAndDelete({ _id: draftId, sellerId: Number(sellerId), status: 'DRAFT' });
+  if (!draft) {
+    throw Object.assign(new Error('임시 저장된 경매를 찾을 수 없습니다.'), { status: 404 });
+  }
+  await deleteAuctionFile(draft.filePath, draft.previewPaths);
+}
+
+function getBuyNowDisablePercent() {
+  const percent = Number(getSettingValue('buyNowDisablePercent'));
+  return Number.isFinite(percent) && percent > 0 && percent <= 100 ? percent : null;
+}
+
+// 즉시 구매는 첫 입찰이 들어오면 사라진다. 관리자가 buyNowDisablePercent 설정을 지정한 경우에는
+// 현재가가 즉시 구매가의 해당 비율에 도달할 때까지 유지된다.
+function shouldDisableBuyNow(auction) {
+  if (!auction.buyNowPrice || auction.buyNowDisabledAt) {
+    return false;
+  }
+  if (auction.currentPrice >= auction.buyNowPrice) {
+    return true;
+  }
+  const percent = getBuyNowDisablePercent();
+  if (percent === null) {
+    return auction.bids.length > 0;
+  }
+  return auction.currentPrice >= (auction.buyNowPrice * percent) / 100;
+}
+
+function isBuyNowAvailable(auction) {
+  return Auction.isBuyNowAvailable(auction);
+}
+
+function pushBid(auction, { bidderId, bidderNickname, amount, createdAt, isAuto = false }) {
+  const bid = { bidderId, bidderNickname, amount, createdAt, isAuto };
+  auction.assignBidderAlias(bidderId);
+  auction.bids.push(bid);
+  auction.currentPrice = amount;
+  return bid;
+}
+
+function compareProxyPriority(left, right) {
+  if (left.maxAmount !== right.maxAmount) {
+    return right.maxAmount - left.maxAmount;
+  }
+  return new Date(left.createdAt).getTime() - new Date(right.createdAt).getTime();
+}
+
+// 자동 입찰자 간 경쟁을 해소한다. 더 높은 최대 금액(동일하면 먼저 등록한 쪽)을 가진 입찰자가
+// 상대의 최대 금액보다 한 호가 단위만 높은 금액으로 선두를 유지하며, 자동 입찰은 일반 입찰과 같이 기록된다.
+function resolveProxyBids(auction, now, tiers = getBidIncrementTiers()) {
+  const placed = [];
+  const proxies = Array.isArray(auction.proxyBids) ? auction.proxyBids : [];
+  if (!proxies.length) {
+    return placed;
+  }
+
+  const place = (proxy, amount) => {
+    placed.push(
+      pushBid(auction, {
+        bidderId: proxy.bidderId,
+        bidderNickname: proxy.bidderNickname,
+        amount,
+        createdAt: now,
+        isAuto: true
+      })
+    );
+  };
+
+  for (;;) {
+    const currentPrice = Number(auction.currentPrice);
+    const leaderBid = auction.bids.length ? auction.bids[auction.bids.length - 1] : null;
+    const leaderId = leaderBid ? leaderBid.bidderId : null;
+    const rival = proxies
+      .filter((proxy) => proxy.bidderId !== leaderId && proxy.maxAmount >= currentPrice + getBidIncrement(currentPrice, tiers))
+      .sort(compareProxyPriority)[0];
+    if (!rival) {
+      break;
+    }
+
+    const leaderProxy = proxies.find((proxy) => proxy.bidderId === leaderId);
+    const leaderMax = leaderProxy ? Math.max(leaderProxy.maxAmount, currentPrice) : currentPrice;
+    const leaderHolds =
+      leaderProxy &&
+      (leaderMax > rival.maxAmount ||
+        (leaderMax === rival.maxAmount && compareProxyPriority(leaderProxy, rival) < 0));
+
+    if (leaderHolds) {
+      const overbid = rival.maxAmount + getBidIncrement(rival.maxAmount, tiers);
+      if (leaderMax >= overbid) {
+        place(rival, rival.maxAmount);
+        place(leaderProxy, overbid);
+      } else {
+        place(leaderProxy, rival.maxAmount);
+      }
+      continue;
+    }
+
+    if (leaderProxy && leaderMax > currentPrice && leaderMax < rival.maxAmount) {
+      place(leaderProxy, leaderMax);
+    }
+    place(rival, Math.min(rival.maxAmount, leaderMax + getBidIncrement(leaderMax, tiers)));
+  }
+
+  return placed;
+}
+
+function createOutbidError() {
+  return Object.assign(
+    new Error('다른 입찰자가 먼저 입찰하여 현재가가 올랐습니다. 현재가를 확인한 뒤 다시 입찰해주세요.'),
+    { status: 409, code: 'OUTBID' }
+  );
+}
+
+function createBidConflictError() {
+  return Object.assign(new Error('동시에 많은 입찰이 들어와 처리하지 못했습니다. 잠시 후 다시 시도해주세요.'), {
+    status: 409,
+    code: 'BID_CONFLICT'
+  });
+}
+
+// 읽어 온 시점의 상태·입찰 수·현재가·마감 시간이 그대로일 때만 반영되도록 하는 갱신 조건.
+function buildBidGuard(auction) {
+  return {
+    _id: auction._id,
+    status: auction.status,
+    currentPrice: auction.currentPrice,
+    endTime: auction.endTime,
+    bids: { $size: auction.bids.length }
+  };
+}
+
+function pickFields(state, fields) {
+  return fields.reduce((picked, field) => {
+    picked[field] = state[field];
+    return picked;
+  }, {});
+}
+
+// 문서에서 변경된 최상위 필드를 조건부 갱신 한 번으로 반영하고, 이어지는 MariaDB 기록(record)에 실패하면 되돌린다.
+// 조건이 맞지 않으면(다른 요청이 먼저 반영된 경우) 아무것도 기록하지 않고 null을 반환한다.
+async function commitAuctionChanges(auction, snapshot, guard, record) {
+  const fields = Array.from(new Set(auction.modifiedPaths().map((field) => field.split('.')[0])));
+  const committed = await Auction.findOneAndUpdate(
+    guard,
+    { $set: pickFields(auction.toObject(), fields) },
+    { new: true }
+  ).select('+proxyBids');
+  if (!committed) {
+    return null;
+  }
+  try {
+    await record(committed);
+  } catch (error) {
+    const reverted = await Auction.findOneAndUpdate(
+      { _id: committed._id, currentPrice: committed.currentPrice, bids: { $size: committed.bids.length } },
+      { $set: pickFields(snapshot, fields) }
+    );
+    if (!reverted) {
+      console.error(`Failed to revert auction ${committed.id} after MariaDB write failure`);
+    }
+    throw error;
+  }
+  return committed;
+}
+
+// 방금 반영한 입찰(문서 끝의 logIds.length개)에 MariaDB 기록 ID를 남긴다. 그 사이 입찰 목록이 바뀌었으면 건너뛴다.
+// 입찰은 이미 확정되었으므로 저장에 실패해도 오류를 던지지 않고, 그 입찰은 철회 때 기록 표시만 빠진다.
+async function storeBidLogIds(committed, logIds) {
+  if (!logIds.length) {
+    return;
+  }
+  const offset = committed.bids.length - logIds.length;
+  const filter = { _id: committed._id };
+  const update = {};
+  logIds.forEach((logId, index) => {
+    const bid = committed.bids[offset + index];
+    filter[`bids.${offset + index}.bidderId`] = bid.bidderId;
+    filter[`bids.${offset + index}.amount`] = bid.amount;
+    update[`bids.${offset + index}.logId`] = logId;
+    bid.logId = logId;
+  });
+  try {
+    await Auction.updateOne(filter, { $set: update });
+  } catch (error) {
+    console.error(`Failed to store bid log ids for auction ${committed.id}`, error);
+  }
+}
+
+async function commitBids(auction, snapshot, guard, bids) {
+  let logIds = [];
+  const committed = await commitAuctionChanges(auction, snapshot, guard, async (updated) => {
+    logIds = await recordBidLogs(updated.id, bids);
+  });
+  if (committed) {
+    await storeBidLogIds(committed, logIds);
+  }
+  return committed;
+}
+
+// 밀봉 입찰은 현재가를 움직이지 않으며, 입찰자는 자신의 이전 입찰보다 높은 금액으로만 다시 제출할 수 있다.
+async function placeSealedBid(auction, { bidderId, bidderNickname, amount, maxAmount, now }) {
+  if (maxAmount !== undefined && maxAmount !== null && maxAmount !== '') {
+    throw Object.assign(new Error('밀봉 입찰 경매에서는 자동 입찰을 사용할 수 없습니다.'), { status: 400 });
+  }
+  if (amount < auction.startPrice) {
+    throw Object.assign(new Error('입찰가는 시작가 이상이어야 합니다.'), { status: 400 });
+  }
+  const bidUnit = getBidUnit();
+  if (amount % bidUnit !== 0) {
+    throw Object.assign(new Error(`입찰가는 ${formatWon(bidUnit)} 단위여야 합니다.`), { status: 400 });
+  }
+  const previousBid = findHighestBid(auction.bids.filter((bid) => bid.bidderId === bidderId));
+  if (previousBid && amount <= previousBid.amount) {
+    throw Object.assign(new Error('이전에 제출한 입찰가보다 높은 금액만 다시 제출할 수 있습니다.'), {
+      status: 400
+    });
+  }
+
+  const guard = buildBidGuard(auction);
+  const snapshot = auction.toObject();
+  const bid = { bidderId, bidderNickname, amount, createdAt: now };
+  auction.assignBidderAlias(bidderId);
+  auction.bids.push(bid);
+  const committed = await commitBids(auction, snapshot, guard, [bid]);
+  if (committed) {
+    broadcastBidUpdate(committed);
+    notifyWatchers(committed, 'OUTBID', { excludeUserIds: [bidderId] });
+  }
+  return committed;
+}
+
+// 한 번의 입찰 시도. 검증을 통과한 입찰은 commitBids로 조건부 반영하며, 그 사이 다른 입찰이 먼저 반영되었다면 null을 반환한다.
+async function attemptBid({ auctionId, bidderId, bidderNickname, amount, maxAmount, isRetry }) {
+  const auction = await Auction.findById(auctionId).select('+proxyBids');
+  if (!auction || auction.status === 'DRAFT') {
     throw Object.assign(new Error('Auction not found'), { status: 404 });
   }
   if (auction.status === 'CLOSED') {
     throw Object.assign(new Error('Auction already closed'), { status: 400 });
   }
+  if (auction.status === 'CANCELLED') {
+    throw Object.assign(new Error('판매자가 취소한 경매입니다.'), { status: 400 });
+  }
+  if (auction.status === 'SCHEDULED') {
+    throw Object.assign(new Error('아직 시작되지 않은 경매입니다.'), { status: 400 });
+  }
 
   const normalizedBidderId = Number(bidderId);
   if (!Number.isFinite(normalizedBidderId) || !Number.isInteger(normalizedBidderId)) {
@@ -120,7 +981,7 @@ async function placeBid({ auctionId, bidderId, bidderNickname, amount }) {
 
   const now = new Date();
   if (auction.endTime < now) {
-    await finalizeAuction(auction);
+    await closeAuctionIfDue(auction.id);
     throw Object.assign(new Error('Auction has ended'), { status: 400 });
   }
 
@@ -129,71 +990,899 @@ async function placeBid({ auctionId, bidderId, bidderNickname, amount }) {
     throw Object.assign(new Error('유효한 입찰 금액을 입력해주세요.'), { status: 400 });
   }
 
+  if (auction.type === 'DUTCH') {
+    throw Object.assign(new Error('가격 하락식 경매는 현재 가격 수락으로만 구매할 수 있습니다.'), { status: 400 });
+  }
+
+  if (auction.type === 'SEALED') {
+    return placeSealedBid(auction, {
+      bidderId: normalizedBidderId,
+      bidderNickname,
+      amount: normalizedAmount,
+      maxAmount,
+      now
+    });
+  }
+
   const currentPrice = Number(auction.currentPrice);
   if (!Number.isFinite(currentPrice)) {
     throw Object.assign(new Error('현재 경매 가격 정보를 불러올 수 없습니다.'), { status: 500 });
   }
-  const minimumIncrement = currentPrice + 100;
-  if (normalizedAmount < minimumIncrement) {
-    throw Object.assign(new Error('입찰가는 현재가보다 최소 100원 이상 높아야 합니다.'), { status: 400 });
+  const tiers = getBidIncrementTiers();
+  const bidUnit = getBidUnit(tiers);
+  const increment = getBidIncrement(currentPrice, tiers);
+  if (normalizedAmount < currentPrice + increment) {
+    if (isRetry) {
+      throw createOutbidError();
+    }
+    throw Object.assign(new Error(`입찰가는 현재가보다 최소 ${formatWon(increment)} 이상 높아야 합니다.`), {
+      status: 400
+    });
   }
-  if (normalizedAmount % 100 !== 0) {
-    throw Object.assign(new Error('입찰가는 100원 단위여야 합니다.'), { status: 400 });
+  if (normalizedAmount % bidUnit !== 0) {
+    throw Object.assign(new Error(`입찰가는 ${formatWon(bidUnit)} 단위여야 합니다.`), { status: 400 });
   }
 
-  auction.currentPrice = normalizedAmount;
-  auction.bids.push({ bidderId: normalizedBidderId, bidderNickname, amount: normalizedAmount, createdAt: now });
+  let normalizedMaxAmount = null;
+  if (maxAmount !== undefined && maxAmount !== null && maxAmount !== '') {
+    normalizedMaxAmount = Number(maxAmount);
+    if (!Number.isFinite(normalizedMaxAmount) || !Number.isInteger(normalizedMaxAmount)) {
+      throw Object.assign(new Error('유효한 자동 입찰 최대 금액을 입력해주세요.'), { status: 400 });
+    }
+    if (normalizedMaxAmount < normalizedAmount) {
+      throw Object.assign(new Error('자동 입찰 최대 금액은 입찰가 이상이어야 합니다.'), { status: 400 });
+    }
+    if (normalizedMaxAmount % bidUnit !== 0) {
+      throw Object.assign(new Error(`자동 입찰 최대 금액은 ${formatWon(bidUnit)} 단위여야 합니다.`), { status: 400 });
+    }
+  }
 
-  const oneMinute = 60 * 1000;
-  if (auction.endTime.getTime() - now.getTime() <= oneMinute) {
-      auction.endTime = new Date(auction.endTime.getTime() + oneMinute);
+  const guard = buildBidGuard(auction);
+  const snapshot = auction.toObject();
+  const placedBids = [
+    pushBid(auction, { bidderId: normalizedBidderId, bidderNickname, amount: normalizedAmount, createdAt: now })
+  ];
+
+  if (normalizedMaxAmount !== null) {
+    const existingProxy = auction.proxyBids.find((proxy) => proxy.bidderId === normalizedBidderId);
+    if (existingProxy) {
+      existingProxy.maxAmount = normalizedMaxAmount;
+      existingProxy.bidderNickname = bidderNickname;
+      existingProxy.createdAt = now;
+    } else {
+      auction.proxyBids.push({
+        bidderId: normalizedBidderId,
+        bidderNickname,
+        maxAmount: normalizedMaxAmount,
+        createdAt: now
+      });
+    }
   }
 
-  await auction.save();
-  await recordBidLog({ auctionId: auction.id, bidderId: normalizedBidderId, amount: normalizedAmount });
-  broadcastBidUpdate(auction);
+  placedBids.push(...resolveProxyBids(auction, now, tiers));
 
-  return auction;
+  if (shouldDisableBuyNow(auction)) {
+    auction.buyNowDisabledAt = now;
+  }
+
+  const extension = applySoftClose(auction, now, auction.currentPrice);
+
+  const committed = await commitBids(auction, snapshot, guard, placedBids);
+  if (!committed) {
+    return null;
+  }
+  broadcastBidUpdate(committed);
+  notifyWatchers(committed, 'OUTBID', { excludeUserIds: [normalizedBidderId] });
+  if (extension) {
+    broadcastAuctionExtended(committed, extension);
+    auctionEvents.emit('lifecycleChanged', committed);
+  }
+
+  return committed;
+}
+
+// 동시에 들어온 입찰이 서로를 덮어쓰지 않도록 조건부로 반영하고, 경합에서 밀리면 최신 상태로 다시 검증한다.
+// 다시 읽은 현재가로는 더 이상 유효하지 않은 입찰이면 OUTBID 오류를 던진다.
+async function placeBid({ auctionId, bidderId, bidderNickname, amount, maxAmount }) {
+  for (let attempt = 1; attempt <= MAX_BID_ATTEMPTS; attempt += 1) {
+    const auction = await attemptBid({
+      auctionId,
+      bidderId,
+      bidderNickname,
+      amount,
+      maxAmount,
+      isRetry: attempt > 1
+    });
+    if (auction) {
+      return auction;
+    }
+  }
+  throw createBidConflictError();
+}
+
+async function buyNow({ auctionId, buyerId, buyerNickname }) {
+  const auction = await Auction.findById(auctionId);
+  if (!auction || auction.status === 'DRAFT') {
+    throw Object.assign(new Error('Auction not found'), { status: 404 });
+  }
+  if (auction.status === 'CLOSED') {
+    throw Object.assign(new Error('Auction already closed'), { status: 400 });
+  }
+  if (auction.status === 'CANCELLED') {
+    throw Object.assign(new Error('판매자가 취소한 경매입니다.'), { status: 400 });
+  }
+  if (auction.status === 'SCHEDULED') {
+    throw Object.assign(new Error('아직 시작되지 않은 경매입니다.'), { status: 400 });
+  }
+
+  const normalizedBuyerId = Number(buyerId);
+  if (!Number.isFinite(normalizedBuyerId) || !Number.isInteger(normalizedBuyerId)) {
+    throw Object.assign(new Error('유효한 사용자 정보를 확인할 수 없습니다.'), { status: 400 });
+  }
+  if (Number(auction.sellerId) === normalizedBuyerId) {
+    throw Object.assign(new Error('자신의 경매는 구매할 수 없습니다.'), { status: 400 });
+  }
+
+  const now = new Date();
+  if (auction.endTime < now) {
+    await closeAuctionIfDue(auction.id);
+    throw Object.assign(new Error('Auction has ended'), { status: 400 });
+  }
+  if (!isBuyNowAvailable(auction)) {
+    throw Object.assign(new Error('즉시 구매가 불가능한 경매입니다.'), { status: 400 });
+  }
+
+  const guard = buildBidGuard(auction);
+  const snapshot = auction.toObject();
+  const bid = pushBid(auction, {
+    bidderId: normalizedBuyerId,
+    bidderNickname: buyerNickname,
+    amount: auction.buyNowPrice,
+    createdAt: now
+  });
+  auction.buyNowDisabledAt = now;
+  auction.closeReason = 'BUY_NOW';
+  auction.closedAt = now;
+  markAuctionClosed(auction);
+
+  const committed = await commitBids(auction, snapshot, guard, [bid]);
+  if (!committed) {
+    throw Object.assign(new Error('다른 입찰이 먼저 처리되어 즉시 구매할 수 없습니다.'), {
+      status: 409,
+      code: 'OUTBID'
+    });
+  }
+  broadcastBidUpdate(committed);
+  notifyWatchers(committed, 'CLOSED');
+
+  return committed;
+}
+
+async function acceptDutchPrice({ auctionId, buyerId, buyerNickname }) {
+  const auction = await Auction.findById(auctionId);
+  if (!auction) {
+    throw Object.assign(new Error('Auction not found'), { status: 404 });
+  }
+  if (auction.type !== 'DUTCH') {
+    throw Object.assign(new Error('가격 하락식 경매가 아닙니다.'), { status: 400 });
+  }
+  if (auction.status === 'CLOSED') {
+    throw Object.assign(new Error('Auction already closed'), { status: 400 });
+  }
+  if (auction.status === 'CANCELLED') {
+    throw Object.assign(new Error('판매자가 취소한 경매입니다.'), { status: 400 });
+  }
+  if (auction.status === 'SCHEDULED') {
+    throw Object.assign(new Error('아직 시작되지 않은 경매입니다.'), { status: 400 });
+  }
+
+  const normalizedBuyerId = Number(buyerId);
+  if (!Number.isFinite(normalizedBuyerId) || !Number.isInteger(normalizedBuyerId)) {
+    throw Object.assign(new Error('유효한 사용자 정보를 확인할 수 없습니다.'), { status: 400 });
+  }
+  if (Number(auction.sellerId) === normalizedBuyerId) {
+    throw Object.assign(new Error('자신의 경매는 구매할 수 없습니다.'), { status: 400 });
+  }
+
+  const now = new Date();
+  if (auction.endTime < now) {
+    await closeAuctionIfDue(auction.id);
+    throw Object.assign(new Error('Auction has ended'), { status: 400 });
+  }
+
+  const { currentPrice } = getDutchPriceState(auction, now);
+  // 가격 인하로 저장된 현재가가 바뀌는 것은 경합이 아니므로 상태와 입찰 수만 조건으로 건다.
+  const guard = { _id: auction._id, status: 'OPEN', bids: { $size: auction.bids.length } };
+  const snapshot = auction.toObject();
+  const bid = pushBid(auction, {
+    bidderId: normalizedBuyerId,
+    bidderNickname: buyerNickname,
+    amount: currentPrice,
+    createdAt: now
+  });
+  auction.closeReason = 'PRICE_ACCEPTED';
+  auction.closedAt = now;
+  markAuctionClosed(auction);
+
+  const committed = await commitBids(auction, snapshot, guard, [bid]);
+  if (!committed) {
+    throw Object.assign(new Error('다른 구매자가 먼저 현재 가격을 수락했습니다.'), { status: 409, code: 'OUTBID' });
+  }
+  broadcastBidUpdate(committed);
+  notifyWatchers(committed, 'CLOSED');
+
+  return committed;
+}
+
+// 가격 하락식 경매의 현재가를 일정에 맞춰 갱신한다. 이전 가격을 조건으로 갱신하므로
+// 여러 인스턴스가 동시에 실행해도 가격 변경 알림은 한 번만 전송된다.
+async function refreshDutchPrice(auction, now = new Date()) {
+  const { currentPrice, nextDropAt } = getDutchPriceState(auction, now);
+  if (currentPrice === auction.currentPrice) {
+    return { auction, nextDropAt };
+  }
+  const updated = await Auction.findOneAndUpdate(
+    { _id: auction._id, status: 'OPEN', currentPrice: auction.currentPrice },
+    { $set: { currentPrice } },
+    { new: true }
+  );
+  if (updated) {
+    broadcastPriceUpdate(updated, { nextDropAt });
+  }
+  return { auction: updated || auction, nextDropAt };
+}
+
+async function refreshDutchPrices() {
+  const now = new Date();
+  const auctions = await Auction.find({ type: 'DUTCH', status: 'OPEN', endTime: { $gt: now } });
+  for (const auction of auctions) {
+    await refreshDutchPrice(auction, now);
+  }
+}
+
+async function getProxyBidForUser(auctionId, userId) {
+  const auction = await Auction.findById(auctionId).select('+proxyBids');
+  if (!auction || !Array.isArray(auction.proxyBids)) {
+    return null;
+  }
+  const proxy = auction.proxyBids.find((entry) => String(entry.bidderId) === String(userId));
+  return proxy ? proxy.toObject() : null;
+}
+
+// 시작 시간이 지난 예약 경매를 진행 중 상태로 전환한다. 조건부 갱신이므로 여러 인스턴스가 동시에
+// 실행해도 한 번만 전환되고 알림도 한 번만 전송된다.
+async function openScheduledAuction(auctionId) {
+  const opened = await Auction.findOneAndUpdate(
+    { _id: auctionId, status: 'SCHEDULED', startTime: { $lte: new Date() } },
+    { $set: { status: 'OPEN' } },
+    { new: true }
+  );
+  if (opened) {
+    broadcastBidUpdate(opened);
+    auctionEvents.emit('lifecycleChanged', opened);
+  }
+  return opened;
+}
+
+async function openScheduledAuctions() {
+  const due = await Auction.find({ status: 'SCHEDULED', startTime: { $lte: new Date() } }).select('_id');
+  for (const { _id: id } of due) {
+    await openScheduledAuction(id);
+  }
+}
+
+// 마감 시간이 지난 경매를 종료한다. 낙찰자를 먼저 계산한 뒤 상태, 마감 시간, 입찰 수가 그대로일 때만
+// 갱신하므로 여러 인스턴스가 같은 경매를 두 번 종료하지 않으며, 그 사이 입찰이나 연장이 있었다면 null을 반환한다.
+async function closeAuctionIfDue(auctionId) {
+  const auction = await Auction.findOne({ _id: auctionId, status: 'OPEN', endTime: { $lte: new Date() } });
+  if (!auction) {
+    return null;
+  }
+  determineWinner(auction);
+  const closedAt = new Date();
+  const update = {
+    status: 'CLOSED',
+    closeReason: auction.closeReason || 'ENDED',
+    closedAt,
+    currentPrice: auction.currentPrice,
+    winnerId: auction.winnerId,
+    winnerNickname: auction.winnerNickname,
+    winningBidAmount: auction.winningBidAmount,
+    result: auction.result
+  };
+  if (auction.type === 'SEALED') {
+    update.bidsRevealedAt = closedAt;
+  }
+  const closed = await Auction.findOneAndUpdate(
+    { _id: auction._id, status: 'OPEN', endTime: auction.endTime, bids: { $size: auction.bids.length } },
+    { $set: update },
+    { new: true }
+  );
+  if (closed) {
+    broadcastBidUpdate(closed);
+    notifyWatchers(closed, 'CLOSED');
+  }
+  return closed;
 }
 
 async function closeExpiredAuctions() {
   const now = new Date();
   const [expired, closedWithoutWinner] = await Promise.all([
-    Auction.find({ endTime: { $lt: now }, status: 'OPEN' }),
-    Auction.find({ status: 'CLOSED', winnerId: null, 'bids.0': { $exists: true } })
+    Auction.find({ endTime: { $lte: now }, status: 'OPEN' }).select('_id'),
+    Auction.find({
+      status: 'CLOSED',
+      winnerId: null,
+      result: null,
+      'bids.0': { $exists: true }
+    })
   ]);
-  await Promise.all([
-    ...expired.map((auction) => finalizeAuction(auction)),
-    ...closedWithoutWinner.map((auction) => finalizeAuction(auction))
+  for (const { _id: id } of expired) {
+    await closeAuctionIfDue(id);
+  }
+  await Promise.all(closedWithoutWinner.map((auction) => finalizeAuction(auction)));
+}
+
+function isRelistable(auction) {
+  return (
+    auction.status === 'CLOSED' &&
+    ['NO_BIDS', 'RESERVE_NOT_MET', 'DEFAULTED'].includes(auction.result) &&
+    !auction.relistedTo
+  );
+}
+
+// 유찰된 경매를 같은 조건과 파일로 다시 등록한다. 시작가는 그대로 두거나 낮출 수만 있으며,
+// 원본에 재등록본을 먼저 조건부로 연결해 같은 경매가 두 번 재등록되지 않게 한다.
+async function relistAuction({ auctionId, sellerId, sellerNickname, endTime, startPrice }) {
+  const source = await Auction.findById(auctionId);
+  if (!source) {
+    throw Object.assign(new Error('경매를 찾을 수 없습니다.'), { status: 404 });
+  }
+  if (Number(source.sellerId) !== Number(sellerId)) {
+    throw Object.assign(new Error('본인이 등록한 경매만 재등록할 수 있습니다.'), { status: 403 });
+  }
+  if (source.relistedTo) {
+    throw Object.assign(new Error('이미 재등록된 경매입니다.'), { status: 400 });
+  }
+  if (!isRelistable(source)) {
+    throw Object.assign(new Error('낙찰되지 않고 종료된 경매만 재등록할 수 있습니다.'), { status: 400 });
+  }
+
+  const parsedEndTime = new Date(endTime);
+  if (!endTime || Number.isNaN(parsedEndTime.getTime())) {
+    throw Object.assign(new Error('유효한 종료 시간을 입력하세요.'), { status: 400 });
+  }
+  if (parsedEndTime <= new Date()) {
+    throw Object.assign(new Error('마감 시간은 현재 시각 이후여야 합니다.'), { status: 400 });
+  }
+  let normalizedStartPrice = source.startPrice;
+  if (startPrice !== undefined && startPrice !== null && startPrice !== '') {
+    normalizedStartPrice = Number(startPrice);
+    if (!Number.isFinite(normalizedStartPrice) || normalizedStartPrice > source.startPrice) {
+      throw Object.assign(new Error('재등록 시작가는 기존 시작가 이하여야 합니다.'), { status: 400 });
+    }
+  }
+
+  const relistId = new Auction()._id;
+  const claimed = await Auction.findOneAndUpdate(
+    { _id: source._id, relistedTo: null },
+    { $set: { relistedTo: relistId } }
+  );
+  if (!claimed) {
+    throw Object.assign(new Error('이미 재등록된 경매입니다.'), { status: 409 });
+  }
+
+  try {
+    return await createAuction({
+      id: relistId,
+      title: source.title,
+      type: source.type,
+      description: source.description,
+      startPrice: normalizedStartPrice,
+      buyNowPrice: source.buyNowPrice,
+      reservePrice: source.reservePrice,
+      endTime: parsedEndTime,
+      softClose: source.softClose ? source.softClose.toObject() : undefined,
+      dutchSchedule: source.dutchSchedule ? source.dutchSchedule.toObject() : undefined,
+      sellerId,
+      sellerNickname,
+      file: { path: source.filePath, originalname: source.fileOriginalName, previewPaths: source.previewPaths },
+      academicSnapshot: source.academic ? source.academic.toObject() : null,
+      relistedFrom: source._id
+    });
+  } catch (error) {
+    await Auction.updateOne({ _id: source._id, relistedTo: relistId }, { $set: { relistedTo: null } });
+    throw error;
+  }
+}
+
+const DEFAULT_BID_RETRACTION_RULES = {
+  windowMinutes: 2,
+  lockMinutes: 10
+};
+
+function getBidRetractionRules() {
+  const configured = getSettingValue('bidRetractionRules', {});
+  const rules = { ...DEFAULT_BID_RETRACTION_RULES };
+  if (configured && typeof configured === 'object') {
+    Object.keys(DEFAULT_BID_RETRACTION_RULES).forEach((key) => {
+      const numeric = Number(configured[key]);
+      if (Number.isFinite(numeric) && numeric >= 0) {
+        rules[key] = numeric;
+      }
+    });
+  }
+  return rules;
+}
+
+// 입찰자가 마지막으로 직접 제출한 입찰을 철회할 수 있는지 확인하고 그 입찰을 돌려준다.
+// 입찰 직후 짧은 시간 안에만 가능하며, 마감 직전에는 허용하지 않는다.
+function findRetractableBid(auction, bidderId, now = new Date()) {
+  if (auction.status !== 'OPEN' || auction.type === 'DUTCH') {
+    throw Object.assign(new Error('진행 중인 입찰 경매에서만 입찰을 철회할 수 있습니다.'), { status: 400 });
+  }
+  const ownBids = auction.bids.filter((bid) => bid.bidderId === Number(bidderId) && !bid.isAuto);
+  const target = ownBids[ownBids.length - 1];
+  if (!target) {
+    throw Object.assign(new Error('철회할 입찰이 없습니다.'), { status: 400 });
+  }
+  const rules = getBidRetractionRules();
+  if (now.getTime() - new Date(target.createdAt).getTime() > rules.windowMinutes * 60 * 1000) {
+    throw Object.assign(new Error(`입찰 후 ${rules.windowMinutes}분 이내에만 철회할 수 있습니다.`), { status: 400 });
+  }
+  if (new Date(auction.endTime).getTime() - now.getTime() <= rules.lockMinutes * 60 * 1000) {
+    throw Object.assign(new Error(`마감 ${rules.lockMinutes}분 전부터는 입찰을 철회할 수 없습니다.`), { status: 400 });
+  }
+  return target;
+}
+
+function canRetractBid(auction, bidderId) {
+  try {
+    findRetractableBid(auction, bidderId);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// 철회한 입찰이 일으킨 마감 연장을 되돌린다. 이후에 다른 입찰로 생긴 연장은 그만큼 앞당겨 그대로 둔다.
+function rollbackSoftCloseExtension(auction, bidTime) {
+  const index = auction.extensions.findIndex((extension) => new Date(extension.createdAt).getTime() === bidTime);
+  if (index === -1) {
+    return null;
+  }
+  const [removed] = auction.extensions.splice(index, 1);
+  const durationMs = removed.newEndTime.getTime() - removed.previousEndTime.getTime();
+  auction.extensions.slice(index).forEach((extension) => {
+    extension.previousEndTime = new Date(extension.previousEndTime.getTime() - durationMs);
+    extension.newEndTime = new Date(extension.newEndTime.getTime() - durationMs);
+  });
+  const previousEndTime = auction.endTime;
+  auction.endTime = new Date(auction.endTime.getTime() - durationMs);
+  return { previousEndTime, newEndTime: auction.endTime };
+}
+
+// 철회할 입찰을 모은다. 철회한 입찰 이후 해당 입찰자의 입찰과, 같은 입찰 처리(같은 시각)에서 해당 입찰자가
+// 입찰한 뒤에 이어진 다른 입찰자의 자동 입찰만 고른다. 다른 입찰이 일으킨 자동 입찰은 시각과 함께 그대로 둔다.
+function collectRetractedBids(bids, bidderId, retractFrom) {
+  const retracted = new Set();
+  const chainTimes = new Set();
+  bids.forEach((bid) => {
+    const time = new Date(bid.createdAt).getTime();
+    if (time < retractFrom) {
+      return;
+    }
+    if (bid.bidderId === bidderId) {
+      retracted.add(bid);
+      chainTimes.add(time);
+    } else if (bid.isAuto && chainTimes.has(time)) {
+      retracted.add(bid);
+    }
+  });
+  return retracted;
+}
+
+// 잘못 입력한 입찰을 철회한다. 해당 입찰과 그 이후 같은 입찰자의 입찰, 그 입찰들에 대응해 생긴 다른 입찰자의 자동 입찰,
+// 철회한 입찰자의 자동 입찰 설정을 지운 뒤 남은 입찰과 자동 입찰 설정으로 경쟁을 다시 해소한다.
+// 철회한 입찰이 마감을 연장했다면 되돌리고, MariaDB에 철회 기록과 새로 생긴 자동 입찰을 함께 남긴다.
+async function retractBid({ auctionId, bidderId }) {
+  const auction = await Auction.findById(auctionId).select('+proxyBids');
+  if (!auction) {
+    throw Object.assign(new Error('경매를 찾을 수 없습니다.'), { status: 404 });
+  }
+  const normalizedBidderId = Number(bidderId);
+  const now = new Date();
+  const target = findRetractableBid(auction, normalizedBidderId, now);
+  const retractFrom = new Date(target.createdAt).getTime();
+
+  const guard = buildBidGuard(auction);
+  const snapshot = auction.toObject();
+  const retracted = collectRetractedBids(auction.bids, normalizedBidderId, retractFrom);
+  auction.bids = auction.bids.filter((bid) => !retracted.has(bid));
+  auction.proxyBids = auction.proxyBids.filter((proxy) => proxy.bidderId !== normalizedBidderId);
+  let placedBids = [];
+  if (auction.type !== 'SEALED') {
+    const highest = findHighestBid(auction.bids);
+    auction.currentPrice = highest ? highest.amount : auction.startPrice;
+    placedBids = resolveProxyBids(auction, now);
+  }
+  if (auction.buyNowDisabledAt) {
+    const disabledAt = auction.buyNowDisabledAt;
+    auction.buyNowDisabledAt = null;
+    if (shouldDisableBuyNow(auction)) {
+      auction.buyNowDisabledAt = disabledAt;
+    }
+  }
+  const rollback = rollbackSoftCloseExtension(auction, retractFrom);
+
+  let replacementLogIds = [];
+  const committed = await commitAuctionChanges(auction, snapshot, guard, async (updated) => {
+    replacementLogIds = await recordBidRetraction({
+      auctionId: updated.id,
+      bidderId: normalizedBidderId,
+      amount: target.amount,
+      retractedCount: retracted.size,
+      retractedLogIds: Array.from(retracted, (bid) => bid.logId).filter((logId) => logId != null),
+      replacementBids: placedBids
+    });
+  });
+  if (!committed) {
+    throw Object.assign(new Error('그 사이 새 입찰이 들어왔습니다. 새로고침 후 다시 시도해주세요.'), { status: 409 });
+  }
+  await storeBidLogIds(committed, replacementLogIds);
+  broadcastBidUpdate(committed);
+  if (rollback) {
+    broadcastAuctionExtended(committed, rollback);
+    auctionEvents.emit('lifecycleChanged', committed);
+  }
+  return committed;
+}
+
+const DEFAULT_CANCELLATION_PENALTY = 0.5;
+
+function getCancellationPenalty() {
+  const penalty = Number(getSettingValue('cancellationReputationPenalty'));
+  return Number.isFinite(penalty) && penalty >= 0 ? penalty : DEFAULT_CANCELLATION_PENALTY;
+}
+
+// 판매자가 시작 전이거나 진행 중인 경매를 취소한다. 입찰이 없으면 제약 없이 취소되지만, 입찰이 있으면
+// 사유가 필요하고 판매자에게 평판 감점이 적용된다. 입찰 수를 조건으로 갱신하므로 그 사이 들어온 입찰을 놓치지 않는다.
+async function cancelAuction({ auctionId, sellerId, reason }) {
+  const auction = await Auction.findById(auctionId);
+  if (!auction) {
+    throw Object.assign(new Error('경매를 찾을 수 없습니다.'), { status: 404 });
+  }
+  if (Number(auction.sellerId) !== Number(sellerId)) {
+    throw Object.assign(new Error('본인이 등록한 경매만 취소할 수 있습니다.'), { status: 403 });
+  }
+  if (!['SCHEDULED', 'OPEN'].includes(auction.status)) {
+    throw Object.assign(new Error('시작 예정이거나 진행 중인 경매만 취소할 수 있습니다.'), { status: 400 });
+  }
+  const hasBids = auction.bids.length > 0;
+  const normalizedReason = typeof reason === 'string' ? reason.trim() : '';
+  if (hasBids && !normalizedReason) {
+    throw Object.assign(new Error('입찰이 있는 경매를 취소하려면 사유를 입력해야 합니다.'), { status: 400 });
+  }
+
+  const cancelled = await Auction.findOneAndUpdate(
+    { _id: auction._id, status: auction.status, bids: { $size: auction.bids.length } },
+    {
+      $set: {
+        status: 'CANCELLED',
+        cancelledAt: new Date(),
+        cancelReason: normalizedReason || null
+      }
+    },
+    { new: true }
+  );
+  if (!cancelled) {
+    throw Object.assign(new Error('그 사이 경매 상태가 바뀌었습니다. 새로고침 후 다시 시도해주세요.'), {
+      status: 409
+    });
+  }
+  if (hasBids) {
+    await applyReputationPenalty({
+      userId: cancelled.sellerId,
+      auctionId: cancelled.id,
+      reason: 'SELLER_CANCEL',
+      amount: getCancellationPenalty(),
+      createdBy: cancelled.sellerId
+    });
+  }
+  broadcastBidUpdate(cancelled);
+  notifyWatchers(cancelled, 'CANCELLED');
+  auctionEvents.emit('lifecycleChanged', cancelled);
+  return cancelled;
+}
+
+const DEFAULT_SECOND_CHANCE_OFFER_HOURS = 24;
+
+function getSecondChanceOfferHours() {
+  const hours = Number(getSettingValue('secondChanceOfferHours'));
+  return Number.isFinite(hours) && hours > 0 ? hours : DEFAULT_SECOND_CHANCE_OFFER_HOURS;
+}
+
+function findPendingOffer(auction) {
+  return (auction.secondChanceOffers || []).find((offer) => offer.status === 'PENDING') || null;
+}
+
+// 불이행자와 이미 제안을 받았던 입찰자를 제외하고, 입찰자별 최고 입찰가가 가장 높은(같으면 먼저 입찰한) 사람을 고른다.
+// 최저 낙찰가가 있으면 그 금액 이상으로 입찰한 사람만 후보가 된다.
+function findSecondChanceCandidate(auction) {
+  const excluded = new Set([
+    ...(auction.defaults || []).map((entry) => entry.bidderId),
+    ...(auction.secondChanceOffers || []).map((offer) => offer.bidderId)
   ]);
+  const highestByBidder = new Map();
+  auction.bids.forEach((bid) => {
+    if (excluded.has(bid.bidderId)) {
+      return;
+    }
+    const current = highestByBidder.get(bid.bidderId);
+    if (!current || bid.amount > current.amount) {
+      highestByBidder.set(bid.bidderId, bid);
+    }
+  });
+  return (
+    Array.from(highestByBidder.values())
+      .filter((bid) => !auction.reservePrice || bid.amount >= auction.reservePrice)
+      .sort((left, right) => {
+        if (left.amount !== right.amount) {
+          return right.amount - left.amount;
+        }
+        return new Date(left.createdAt).getTime() - new Date(right.createdAt).getTime();
+      })[0] || null
+  );
+}
+
+// 낙찰자가 비어 있고 진행 중인 제안이 없을 때 다음 후보에게 제안을 보낸다. 후보가 없으면 DEFAULTED로 마무리한다.
+async function offerToNextBidder(auctionId) {
+  const auction = await Auction.findById(auctionId);
+  if (!auction || auction.status !== 'CLOSED' || auction.winnerId || findPendingOffer(auction)) {
+    return auction;
+  }
+  const candidate = findSecondChanceCandidate(auction);
+  const now = new Date();
+  const guard = {
+    _id: auction._id,
+    winnerId: null,
+    'secondChanceOffers.status': { $ne: 'PENDING' },
+    secondChanceOffers: { $size: auction.secondChanceOffers.length }
+  };
+  const update = candidate
+    ? {
+        $push: {
+          secondChanceOffers: {
+            bidderId: candidate.bidderId,
+            bidderNickname: candidate.bidderNickname,
+            amount: candidate.amount,
+            expiresAt: new Date(now.getTime() + getSecondChanceOfferHours() * 60 * 60 * 1000),
+            createdAt: now
+          }
+        }
+      }
+    : { $set: { result: 'DEFAULTED' } };
+  const updated = await Auction.findOneAndUpdate(guard, update, { new: true });
+  if (updated) {
+    broadcastBidUpdate(updated);
+    auctionEvents.emit('lifecycleChanged', updated);
+  }
+  return updated;
+}
+
+// 판매자나 관리자가 낙찰자의 거래 불이행을 기록한다. 낙찰이 취소되고 불이행자에게 경고가 누적되며,
+// 차순위 입찰자에게 자신의 입찰가로 구매할 수 있는 기한부 제안이 전달된다.
+async function markWinnerDefaulted({ auctionId, actorId, isAdmin = false }) {
+  const auction = await Auction.findById(auctionId);
+  if (!auction) {
+    throw Object.assign(new Error('경매를 찾을 수 없습니다.'), { status: 404 });
+  }
+  if (!isAdmin && Number(auction.sellerId) !== Number(actorId)) {
+    throw Object.assign(new Error('판매자 또는 관리자만 낙찰자 불이행을 처리할 수 있습니다.'), { status: 403 });
+  }
+  if (auction.status !== 'CLOSED' || !auction.winnerId) {
+    throw Object.assign(new Error('낙찰자가 있는 종료된 경매만 불이행 처리할 수 있습니다.'), { status: 400 });
+  }
+
+  const defaulted = await Auction.findOneAndUpdate(
+    { _id: auction._id, status: 'CLOSED', winnerId: auction.winnerId },
+    {
+      $push: {
+        defaults: {
+          bidderId: auction.winnerId,
+          bidderNickname: auction.winnerNickname,
+          amount: auction.winningBidAmount,
+          markedBy: Number(actorId),
+          createdAt: new Date()
+        }
+      },
+      $set: { winnerId: null, winnerNickname: null, winningBidAmount: null }
+    },
+    { new: true }
+  );
+  if (!defaulted) {
+    throw Object.assign(new Error('낙찰자 정보가 이미 변경되었습니다. 새로고침 후 다시 시도해주세요.'), {
+      status: 409
+    });
+  }
+  await recordStrike({
+    userId: auction.winnerId,
+    auctionId: auction.id,
+    reason: 'WINNER_DEFAULT',
+    createdBy: Number(actorId)
+  });
+  return offerToNextBidder(defaulted._id);
+}
+
+async function respondToSecondChanceOffer({ auctionId, bidderId, accept }) {
+  const normalizedBidderId = Number(bidderId);
+  const now = new Date();
+  const auction = await Auction.findById(auctionId);
+  if (!auction) {
+    throw Object.assign(new Error('경매를 찾을 수 없습니다.'), { status: 404 });
+  }
+  const offer = findPendingOffer(auction);
+  if (!offer || offer.bidderId !== normalizedBidderId) {
+    throw Object.assign(new Error('응답할 수 있는 차순위 구매 제안이 없습니다.'), { status: 400 });
+  }
+  if (offer.expiresAt <= now) {
+    await expireSecondChanceOffer(auction._id);
+    throw Object.assign(new Error('차순위 구매 제안의 응답 기한이 지났습니다.'), { status: 400 });
+  }
+
+  const pendingOffer = {
+    _id: auction._id,
+    winnerId: null,
+    secondChanceOffers: {
+      $elemMatch: { bidderId: normalizedBidderId, status: 'PENDING', expiresAt: { $gt: now } }
+    }
+  };
+  const update = accept
+    ? {
+        $set: {
+          'secondChanceOffers.$.status': 'ACCEPTED',
+          'secondChanceOffers.$.respondedAt': now,
+          winnerId: offer.bidderId,
+          winnerNickname: offer.bidderNickname,
+          winningBidAmount: offer.amount,
+          result: 'SOLD'
+        }
+      }
+    : { $set: { 'secondChanceOffers.$.status': 'DECLINED', 'secondChanceOffers.$.respondedAt': now } };
+  const updated = await Auction.findOneAndUpdate(pendingOffer, update, { new: true });
+  if (!updated) {
+    throw Object.assign(new Error('차순위 구매 제안이 이미 처리되었습니다.'), { status: 409 });
+  }
+  if (accept) {
+    broadcastBidUpdate(updated);
+    auctionEvents.emit('lifecycleChanged', updated);
+    return updated;
+  }
+  return offerToNextBidder(updated._id);
+}
+
+async function expireSecondChanceOffer(auctionId) {
+  const now = new Date();
+  const expired = await Auction.findOneAndUpdate(
+    {
+      _id: auctionId,
+      secondChanceOffers: { $elemMatch: { status: 'PENDING', expiresAt: { $lte: now } } }
+    },
+    { $set: { 'secondChanceOffers.$.status': 'EXPIRED', 'secondChanceOffers.$.respondedAt': now } },
+    { new: true }
+  );
+  return expired ? offerToNextBidder(expired._id) : null;
+}
+
+async function expireSecondChanceOffers() {
+  const due = await Auction.find({
+    secondChanceOffers: { $elemMatch: { status: 'PENDING', expiresAt: { $lte: new Date() } } }
+  }).select('_id');
+  for (const { _id: id } of due) {
+    await expireSecondChanceOffer(id);
+  }
+}
+
+// 재등록 이전 경매들을 최신순으로 거슬러 올라가며 모은다.
+async function getRelistHistory(auction, limit = 20) {
+  const history = [];
+  let previousId = auction.relistedFrom;
+  while (previousId && history.length < limit) {
+    const previous = await Auction.findById(previousId).select(
+      'title startPrice currentPrice result status closedAt endTime relistedFrom'
+    );
+    if (!previous) {
+      break;
+    }
+    history.push(previous.toObject());
+    previousId = previous.relistedFrom;
+  }
+  return history;
 }
 
 async function listUserAuctions(userId) {
-  const [open, closed] = await Promise.all([
+  const [drafts, scheduled, open, closed, cancelled] = await Promise.all([
+    Auction.find({ sellerId: userId, status: 'DRAFT' }).sort(buildSort('DRAFT')),
+    Auction.find({ sellerId: userId, status: 'SCHEDULED' }).sort(buildSort('SCHEDULED')),
     Auction.find({ sellerId: userId, status: 'OPEN' }).sort(buildSort('OPEN')),
-    Auction.find({ sellerId: userId, status: 'CLOSED' }).sort(buildSort('CLOSED'))
+    Auction.find({ sellerId: userId, status: 'CLOSED' }).sort(buildSort('CLOSED')),
+    Auction.find({ sellerId: userId, status: 'CANCELLED' }).sort(buildSort('CANCELLED'))
   ]);
   return {
+    drafts: drafts.map((auction) => auction.toObject({ virtuals: true })),
+    cancelled: cancelled.map((auction) => auction.toObject({ virtuals: true })),
+    scheduled: scheduled.map((auction) => auction.toObject({ virtuals: true })),
     open: open.map((auction) => auction.toObject({ virtuals: true })),
-    closed: closed.map((auction) => auction.toObject({ virtuals: true }))
+    closed: closed.map((auction) => ({ ...auction.toObject({ virtuals: true }), canRelist: isRelistable(auction) }))
   };
 }
 
 async function listUserNotifications(userId) {
   const auctions = await Auction.find({
-    status: 'CLOSED',
-    $or: [{ sellerId: userId }, { winnerId: userId }]
+    $or: [
+      {
+        status: 'CLOSED',
+        $or: [
+          { sellerId: userId },
+          { winnerId: userId },
+          { result: 'RESERVE_NOT_MET', 'bids.bidderId': userId },
+          { 'secondChanceOffers.bidderId': userId },
+          { 'defaults.bidderId': userId }
+        ]
+      },
+      { status: 'CANCELLED', $or: [{ sellerId: userId }, { 'bids.bidderId': userId }] }
+    ]
   }).sort(buildSort('CLOSED'));
 
   const notifications = [];
 
   auctions.forEach((auctionDoc) => {
     const auction = auctionDoc.toObject({ virtuals: true });
+    const bidderAliases = auctionDoc.getBidderAliases();
+    if (auction.status === 'CANCELLED') {
+      delete auction.reservePrice;
+      const isSeller = auction.sellerId === userId;
+      let message = isSeller ? '경매를 취소했습니다.' : '판매자가 입찰에 참여한 경매를 취소했습니다.';
+      if (auction.cancelReason) {
+        message += ` 사유: ${auction.cancelReason}`;
+      }
+      notifications.push({
+        auction,
+        isSeller,
+        isWinner: false,
+        hasWinner: false,
+        message,
+        type: 'CANCELLED',
+        createdAt: auction.cancelledAt
+      });
+      return;
+    }
+    const hasReserve = auction.hasReserve;
+    const reserveMet = auction.result !== 'RESERVE_NOT_MET';
+    delete auction.reservePrice;
     const isSeller = auction.sellerId === userId;
     const isWinner = auction.winnerId === userId;
     const hasWinner = !!auction.winnerId;
+    const offer = (auction.secondChanceOffers || []).find((entry) => entry.bidderId === userId);
+    const defaulted = (auction.defaults || []).some((entry) => entry.bidderId === userId);
+    const pendingOffer = (auction.secondChanceOffers || []).find((entry) => entry.status === 'PENDING');
+    const isOfferNotice = defaulted || (!!offer && !isWinner);
     let message;
-    if (isSeller) {
+    if (defaulted) {
+      message = '낙찰 후 거래를 이행하지 않아 낙찰이 취소되고 경고가 기록되었습니다.';
+    } else if (offer && !isWinner) {
+      message =
+        offer.status === 'PENDING'
+          ? `낙찰자가 거래를 이행하지 않아 ₩${Number(offer.amount).toLocaleString('ko-KR')}에 구매할 수 있는 제안이 도착했습니다. ${new Date(offer.expiresAt).toLocaleString('ko-KR')}까지 응답해주세요.`
+          : '차순위 구매 제안이 종료되었습니다.';
+    } else if (isSeller && !hasWinner && pendingOffer) {
+      message = `낙찰자가 거래를 이행하지 않아 ${bidderAliases.get(pendingOffer.bidderId)}에게 차순위 구매 제안을 보냈습니다.`;
+    } else if (isSeller && auction.result === 'DEFAULTED') {
+      message = '낙찰자가 거래를 이행하지 않았고 구매 제안을 수락한 차순위 입찰자가 없어 거래가 성사되지 않았습니다.';
+    } else if (!reserveMet) {
+      message = isSeller
+        ? '입찰가가 최저 낙찰가에 도달하지 않아 낙찰자 없이 경매가 종료되었습니다.'
+        : '최고 입찰가가 판매자의 최저 낙찰가에 도달하지 않아 낙찰되지 않았습니다.';
+    } else if (isSeller) {
       message = hasWinner
         ? `${auction.winnerNickname}님이 ₩${Number(auction.winningBidAmount).toLocaleString('ko-KR')}에 낙찰되었습니다.`
         : '입찰자가 없어 경매가 종료되었습니다.';
@@ -202,26 +1891,32 @@ async function listUserNotifications(userId) {
     } else {
       message = '경매 결과를 확인해주세요.';
     }
+    if (hasReserve && reserveMet && hasWinner && !isOfferNotice) {
+      message += ' (최저 낙찰가 충족)';
+    }
 
     notifications.push({
       auction,
       isSeller,
       isWinner,
       hasWinner,
+      hasReserve,
+      reserveMet,
       message,
-      type: 'STATUS',
-      createdAt: auction.closedAt || auction.endTime
+      type: isOfferNotice ? 'SECOND_CHANCE' : 'STATUS',
+      createdAt: offer && !isWinner ? offer.createdAt : auction.closedAt || auction.endTime
     });
 
     if (isSeller && Array.isArray(auction.reviews) && auction.reviews.length) {
-      auction.reviews.forEach((review) => {
+      auction.reviews.forEach((entry) => {
+        const review = { ...entry, bidderAlias: bidderAliases.get(entry.bidderId) || '입찰자' };
         const createdAt = review.createdAt ? new Date(review.createdAt) : auction.closedAt || auction.endTime;
         notifications.push({
           auction,
           isSeller: true,
           isWinner,
           hasWinner,
-          message: `${review.bidderNickname}님이 거래 후기를 남겼습니다.`,
+          message: `${review.bidderAlias}이(가) 거래 후기를 남겼습니다.`,
           type: 'REVIEW',
           createdAt,
           review
@@ -230,6 +1925,33 @@ async function listUserNotifications(userId) {
     }
   });
 
+  const watchAlerts = await listWatchAlerts(userId);
+  watchAlerts.forEach((alert) => {
+    notifications.push({
+      auction: { id: alert.auction_id, title: alert.auction_title },
+      isSeller: false,
+      isWinner: false,
+      hasWinner: false,
+      message: alert.message,
+      type: 'WATCH',
+      createdAt: alert.created_at
+    });
+  });
+
+  const savedSearchAlerts = await listSavedSearchAlerts(userId);
+  savedSearchAlerts.forEach((alert) => {
+    notifications.push({
+      auction: { id: alert.auction_id, title: alert.auction_title },
+      isSeller: false,
+      isWinner: false,
+      hasWinner: false,
+      message: buildSavedSearchAlertMessage(alert.search_name),
+      type: 'SAVED_SEARCH',
+      savedSearchId: alert.saved_search_id,
+      createdAt: alert.created_at
+    });
+  });
+
   notifications.sort((a, b) => {
     const left = new Date(a.createdAt || a.auction.closedAt || a.auction.endTime).getTime();
     const right = new Date(b.createdAt || b.auction.closedAt || b.auction.endTime).getTime();
@@ -239,21 +1961,59 @@ async function listUserNotifications(userId) {
   return notifications;
 }
 
-async function deleteAuctionFile(filePath) {
+// 재등록된 경매는 파일을 공유하므로, 아직 이 파일을 쓰는 경매가 남아 있으면 지우지 않는다.
+// 미리보기는 원본 파일에 딸린 것이므로 원본과 함께 지운다.
+async function deleteAuctionFile(filePath, previewPaths = []) {
   if (!filePath) return;
+  if (await Auction.exists({ filePath })) return;
   const absolutePath = path.resolve(filePath);
   if (fs.existsSync(absolutePath)) {
     fs.unlinkSync(absolutePath);
   }
+  await deletePreviewImages(previewPaths);
+  await deleteBuyerCopies(filePath);
 }
 
 module.exports = {
+  auctionEvents,
   listAuctions,
   getAuctionById,
+  getSoftCloseRules,
+  normalizeBidIncrementTiers,
+  getBidIncrementTiers,
+  getBidIncrement,
+  getBidUnit,
+  getMinimumBid,
   createAuction,
+  isAuctionEditable,
+  updateAuction,
+  findDraftForSeller,
+  saveDraft,
+  publishDraft,
+  deleteDraft,
   placeBid,
+  buyNow,
+  isBuyNowAvailable,
+  acceptDutchPrice,
+  getDutchPriceState,
+  refreshDutchPrice,
+  refreshDutchPrices,
+  openScheduledAuction,
+  openScheduledAuctions,
+  closeAuctionIfDue,
+  getProxyBidForUser,
   closeExpiredAuctions,
   deleteAuctionFile,
+  relistAuction,
+  getRelistHistory,
+  cancelAuction,
+  getBidRetractionRules,
+  canRetractBid,
+  retractBid,
+  markWinnerDefaulted,
+  respondToSecondChanceOffer,
+  expireSecondChanceOffer,
+  expireSecondChanceOffers,
   listUserAuctions,
   listUserNotifications,
   finalizeAuction
@@ -0,0 +1,264 @@
+const { isValidObjectId } = require('mongoose');
+const Course = require('../models/mongo/Course');
+const Auction = require('../models/mongo/Auction');
+
+const MATERIAL_TYPES = {
+  EXAM: '시험 기출',
+  NOTES: '강의 노트',
+  ASSIGNMENT_SOLUTION: '과제 풀이'
+};
+
+const SEMESTER_TERMS = {
+  SPRING: '1학기',
+  SUMMER: '여름학기',
+  FALL: '2학기',
+  WINTER: '겨울학기'
+};
+
+const MIN_SEMESTER_YEAR = 1990;
+
+// CSV 머리글은 영문·국문 표기를 모두 받는다.
+const CSV_HEADER_ALIASES = {
+  department: ['department', 'dept', '학과', '학부'],
+  code: ['code', 'coursecode', 'course_code', '과목코드', '학수번호'],
+  name: ['name', 'coursename', 'course_name', '과목명'],
+  professor: ['professor', 'instructor', '교수', '담당교수']
+};
+
+function normalizeCourseCode(code) {
+  return String(code || '')
+    .trim()
+    .toUpperCase()
+    .replace(/\s+/g, '');
+}
+
+function splitProfessors(value) {
+  return String(value || '')
+    .split(/[;,/]/)
+    .map((name) => name.trim())
+    .filter(Boolean);
+}
+
+async function listCourses() {
+  return Course.find().sort({ department: 1, code: 1 });
+}
+
+async function listDepartments() {
+  const departments = await Course.distinct('department');
+  return departments.sort((left, right) => left.localeCompare(right, 'ko'));
+}
+
+function groupCoursesByDepartment(courses) {
+  const groups = new Map();
+  courses.forEach((course) => {
+    if (!groups.has(course.department)) {
+      groups.set(course.department, []);
+    }
+    groups.get(course.department).push(course);
+  });
+  return Array.from(groups, ([department, items]) => ({ department, courses: items })).sort((left, right) =>
+    left.department.localeCompare(right.department, 'ko')
+  );
+}
+
+// 과목 코드가 같으면 기존 과목을 갱신하고 교수 목록은 합친다. CSV 가져오기와 단건 등록이 같은 규칙을 쓴다.
+async function saveCourse({ department, code, name, professors = [] }) {
+  const normalizedCode = normalizeCourseCode(code);
+  const normalizedDepartment = String(department || '').trim();
+  const normalizedName = String(name || '').trim();
+  if (!normalizedDepartment || !normalizedCode || !normalizedName) {
+    throw Object.assign(new Error('학과, 과목 코드, 과목명은 필수입니다.'), { status: 400 });
+  }
+  return Course.findOneAndUpdate(
+    { code: normalizedCode },
+    {
+      $set: { department: normalizedDepartment, name: normalizedName },
+      $addToSet: { professors: { $each: professors.map((professor) => professor.trim()).filter(Boolean) } }
+    },
+    { new: true, upsert: true, runValidators: true }
+  );
+}
+
+async function deleteCourse(courseId) {
+  const deleted = isValidObjectId(courseId) ? await Course.findByIdAndDelete(courseId) : null;
+  if (!deleted) {
+    throw Object.assign(new Error('과목을 찾을 수 없습니다.'), { status: 404 });
+  }
+  return deleted;
+}
+
+// 따옴표로 감싼 값(쉼표·줄바꿈·"" 포함)을 지원하는 최소한의 CSV 파서.
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  const source = String(text || '').replace(/^﻿/, '');
+  for (let index = 0; index < source.length; index += 1) {
+    const char = source[index];
+    if (quoted) {
+      if (char === '"' && source[index + 1] === '"') {
+        field += '"';
+        index += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[index + 1] === '\n') {
+        index += 1;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter((cells) => cells.some((cell) => cell.trim()));
+}
+
+// 첫 줄은 머리글이어야 한다. 잘못된 줄은 건너뛰고 줄 번호와 함께 오류로 돌려준다.
+async function importCoursesFromCsv(text) {
+  const [header, ...rows] = parseCsv(text);
+  if (!header) {
+    throw Object.assign(new Error('CSV 파일이 비어 있습니다.'), { status: 400 });
+  }
+  const normalizedHeader = header.map((cell) => cell.trim().toLowerCase().replace(/\s+/g, ''));
+  const columns = {};
+  Object.entries(CSV_HEADER_ALIASES).forEach(([key, aliases]) => {
+    columns[key] = normalizedHeader.findIndex((cell) => aliases.includes(cell));
+  });
+  if (columns.department < 0 || columns.code < 0 || columns.name < 0) {
+    throw Object.assign(new Error('CSV 머리글에 department, code, name 열이 필요합니다.'), { status: 400 });
+  }
+
+  const coursesByCode = new Map();
+  const errors = [];
+  rows.forEach((cells, index) => {
+    const line = index + 2;
+    const read = (key) => (columns[key] >= 0 ? String(cells[columns[key]] || '').trim() : '');
+    const course = {
+      department: read('department'),
+      code: normalizeCourseCode(read('code')),
+      name: read('name'),
+      professors: splitProfessors(read('professor'))
+    };
+    if (!course.department || !course.code || !course.name) {
+      errors.push({ line, message: '학과, 과목 코드, 과목명 중 비어 있는 값이 있습니다.' });
+      return;
+    }
+    const existing = coursesByCode.get(course.code);
+    if (existing) {
+      existing.professors.push(...course.professors);
+      return;
+    }
+    coursesByCode.set(course.code, course);
+  });
+
+  let imported = 0;
+  for (const course of coursesByCode.values()) {
+    await saveCourse(course);
+    imported += 1;
+  }
+  return { imported, errors };
+}
+
+// 등록 폼의 과목·학기·자료 유형 입력을 검증해 경매에 저장할 과목 정보로 만든다.
+// 과목을 고르지 않았으면 과목 정보 없이 등록한다.
+async function buildAcademicFields({ courseId, professor, year, term, materialType } = {}) {
+  if (!courseId) {
+    return null;
+  }
+  const course = isValidObjectId(courseId) ? await Course.findById(courseId) : null;
+  if (!course) {
+    throw Object.assign(new Error('과목 목록에서 과목을 선택하세요.'), { status: 400 });
+  }
+  if (!Object.prototype.hasOwnProperty.call(MATERIAL_TYPES, materialType)) {
+    throw Object.assign(new Error('자료 유형을 선택하세요.'), { status: 400 });
+  }
+  let normalizedYear = null;
+  if (year !== undefined && year !== null && year !== '') {
+    normalizedYear = Number(year);
+    const maxYear = new Date().getFullYear() + 1;
+    if (!Number.isInteger(normalizedYear) || normalizedYear < MIN_SEMESTER_YEAR || normalizedYear > maxYear) {
+      throw Object.assign(new Error(`수강 연도는 ${MIN_SEMESTER_YEAR}년부터 ${maxYear}년 사이여야 합니다.`), {
+        status: 400
+      });
+    }
+  }
+  if (term && !Object.prototype.hasOwnProperty.call(SEMESTER_TERMS, term)) {
+    throw Object.assign(new Error('지원하지 않는 학기입니다.'), { status: 400 });
+  }
+  return {
+    courseId: course._id,
+    department: course.department,
+    courseCode: course.code,
+    courseName: course.name,
+    professor: String(professor || '').trim() || null,
+    year: normalizedYear,
+    term: term || null,
+    materialType
+  };
+}
+
+// 학과·과목별 둘러보기. 과목 목록에 없는 과목(목록에서 삭제된 경우)도 경매에 남은 정보로 함께 보여준다.
+async function listCourseDirectory() {
+  const [courses, counts] = await Promise.all([
+    listCourses(),
+    Auction.aggregate([
+      { $match: { status: { $in: ['SCHEDULED', 'OPEN'] }, 'academic.courseCode': { $ne: null } } },
+      {
+        $group: {
+          _id: '$academic.courseCode',
+          department: { $first: '$academic.department' },
+          name: { $first: '$academic.courseName' },
+          count: { $sum: 1 }
+        }
+      }
+    ])
+  ]);
+  const countByCode = new Map(counts.map((entry) => [entry._id, entry]));
+  const entries = courses.map((course) => ({
+    department: course.department,
+    code: course.code,
+    name: course.name,
+    professors: course.professors,
+    activeCount: countByCode.has(course.code) ? countByCode.get(course.code).count : 0
+  }));
+  const knownCodes = new Set(entries.map((entry) => entry.code));
+  counts
+    .filter((entry) => !knownCodes.has(entry._id))
+    .forEach((entry) => {
+      entries.push({ department: entry.department, code: entry._id, name: entry.name, professors: [], activeCount: entry.count });
+    });
+  return groupCoursesByDepartment(entries).map((group) => ({
+    ...group,
+    activeCount: group.courses.reduce((sum, course) => sum + course.activeCount, 0)
+  }));
+}
+
+module.exports = {
+  MATERIAL_TYPES,
+  SEMESTER_TERMS,
+  normalizeCourseCode,
+  listCourses,
+  listDepartments,
+  groupCoursesByDepartment,
+  saveCourse,
+  deleteCourse,
+  importCoursesFromCsv,
+  buildAcademicFields,
+  listCourseDirectory
+};
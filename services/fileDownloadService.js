@@ -0,0 +1,173 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { getSettingValue } = require('./adminApiStore');
+const { countDownloads, hasDownloadForToken, recordDownloadWithinLimit } = require('../models/fileDownloadModel');
+
+// 업로드 원본은 정적 경로 밖에 두고 서명된 링크로만 내려준다.
+const UPLOAD_DIR = path.join(__dirname, '..', 'uploads');
+// 이전에 public/uploads에 저장된 파일도 기존 경매에서 계속 내려받을 수 있어야 한다.
+const LEGACY_UPLOAD_DIR = path.join(__dirname, '..', 'public', 'uploads');
+
+const DEFAULT_DOWNLOAD_LINK_MINUTES = 10;
+const DEFAULT_MAX_DOWNLOADS = 5;
+
+// 세션 비밀 값은 저장소에 기본값이 있어 링크 위조에 쓰일 수 있으므로 빌려 쓰지 않는다.
+// 전용 비밀 값이 없으면 프로세스마다 새로 만든다. 재시작하거나 다른 인스턴스로 가면 발급된 링크만 무효가 된다.
+const signingSecret = process.env.DOWNLOAD_SIGNING_SECRET || crypto.randomBytes(32).toString('hex');
+if (!process.env.DOWNLOAD_SIGNING_SECRET) {
+  console.warn('DOWNLOAD_SIGNING_SECRET이 없어 임시 서명 키를 사용합니다. 여러 인스턴스로 운영한다면 설정하세요.');
+}
+
+function getDownloadLinkMinutes() {
+  const minutes = Number(getSettingValue('downloadLinkMinutes'));
+  return Number.isFinite(minutes) && minutes > 0 ? minutes : DEFAULT_DOWNLOAD_LINK_MINUTES;
+}
+
+function getMaxDownloads() {
+  const limit = Number(getSettingValue('maxFileDownloads'));
+  return Number.isInteger(limit) && limit > 0 ? limit : DEFAULT_MAX_DOWNLOADS;
+}
+
+function isSellerOf(auction, userId) {
+  return Number(auction.sellerId) === Number(userId);
+}
+
+// 종료된 경매의 판매자와 낙찰자만 자료를 받을 수 있다. 입찰만 한 사용자는 받을 수 없다.
+function canDownloadAuctionFile(auction, userId) {
+  if (auction.status !== 'CLOSED') {
+    return false;
+  }
+  return isSellerOf(auction, userId) || (auction.winnerId != null && Number(auction.winnerId) === Number(userId));
+}
+
+// 판매자는 횟수 제한을 받지 않는다.
+function getDownloadLimit(auction, userId) {
+  return isSellerOf(auction, userId) ? null : getMaxDownloads();
+}
+
+function assertDownloadAllowed(auction, userId) {
+  if (auction.status !== 'CLOSED') {
+    throw Object.assign(new Error('경매 종료 후에만 자료를 내려받을 수 있습니다.'), { status: 409 });
+  }
+  if (!canDownloadAuctionFile(auction, userId)) {
+    throw Object.assign(new Error('판매자와 낙찰자만 자료를 내려받을 수 있습니다.'), { status: 403 });
+  }
+}
+
+const DOWNLOAD_TOKEN_PATTERN = /^[0-9a-f]{32}$/;
+
+function signDownload(auctionId, userId, downloadToken, expires) {
+  return crypto
+    .createHmac('sha256', signingSecret)
+    .update(`${auctionId}:${userId}:${downloadToken}:${expires}`)
+    .digest('hex');
+}
+
+async function getDownloadStatus(auction, userId) {
+  const limit = getDownloadLimit(auction, userId);
+  const used = await countDownloads(userId, auction.id);
+  return { used, limit, remaining: limit == null ? null : Math.max(limit - used, 0) };
+}
+
+// 다운로드 권한을 확인한 뒤 요청한 사용자에게만 유효하고 곧 만료되는 링크를 만든다.
+// 링크 발급 자체는 횟수에 포함하지 않고, 실제로 파일을 받을 때 센다. 링크마다 토큰을 넣어 서명해
+// 이어받기를 그 링크로 시작한 다운로드에만 허용한다. 링크를 가진 사람은 누구나 쓸 수 있으므로 유효 시간을 짧게 둔다.
+async function createDownloadLink(auction, userId) {
+  assertDownloadAllowed(auction, userId);
+  const status = await getDownloadStatus(auction, userId);
+  if (status.remaining === 0) {
+    throw Object.assign(new Error(`다운로드 가능 횟수(${status.limit}회)를 모두 사용했습니다.`), { status: 403 });
+  }
+  const expires = Date.now() + getDownloadLinkMinutes() * 60 * 1000;
+  const downloadToken = crypto.randomBytes(16).toString('hex');
+  const params = new URLSearchParams({
+    user: String(userId),
+    download: downloadToken,
+    expires: String(expires),
+    signature: signDownload(auction.id, userId, downloadToken, expires)
+  });
+  return {
+    url: `/auctions/${auction.id}/download/file?${params.toString()}`,
+    expiresAt: new Date(expires),
+    remainingDownloads: status.remaining
+  };
+}
+
+// 서명이 맞고 만료되지 않았으면 링크를 받은 사용자 ID와 링크 토큰을 돌려준다.
+function verifyDownloadLink(auctionId, { user, download, expires, signature } = {}) {
+  const userId = Number(user);
+  const expiresAt = Number(expires);
+  const downloadToken = typeof download === 'string' ? download : '';
+  const expected =
+    Number.isInteger(userId) && Number.isFinite(expiresAt) && DOWNLOAD_TOKEN_PATTERN.test(downloadToken)
+      ? signDownload(auctionId, userId, downloadToken, expiresAt)
+      : '';
+  const provided = typeof signature === 'string' ? signature : '';
+  if (
+    !expected ||
+    provided.length !== expected.length ||
+    !crypto.timingSafeEqual(Buffer.from(provided), Buffer.from(expected))
+  ) {
+    throw Object.assign(new Error('유효하지 않은 다운로드 링크입니다.'), { status: 403 });
+  }
+  if (expiresAt < Date.now()) {
+    throw Object.assign(new Error('다운로드 링크가 만료되었습니다. 다시 내려받기를 눌러 주세요.'), { status: 410 });
+  }
+  return { userId, downloadToken };
+}
+
+// 저장된 경로가 업로드 디렉터리 밖을 가리키면 내려주지 않는다.
+async function resolveAuctionFile(auction) {
+  const absolutePath = auction.filePath ? path.resolve(auction.filePath) : null;
+  const insideUploads =
+    absolutePath &&
+    [UPLOAD_DIR, LEGACY_UPLOAD_DIR].some((dir) => absolutePath.startsWith(`${dir}${path.sep}`));
+  if (!insideUploads) {
+    throw Object.assign(new Error('자료 파일을 찾을 수 없습니다.'), { status: 404 });
+  }
+  try {
+    await fs.promises.access(absolutePath, fs.constants.R_OK);
+  } catch (error) {
+    throw Object.assign(new Error('자료 파일을 찾을 수 없습니다.'), { status: 404 });
+  }
+  return absolutePath;
+}
+
+// 처음부터 받는 요청만 한 번의 다운로드로 센다. 중간부터 이어받는 Range 요청은
+// 같은 링크로 이미 받기 시작한 경우에만 허용하고 횟수는 늘리지 않는다.
+function isResumeRequest(rangeHeader) {
+  const match = /^bytes=\s*(\d*)\s*-/.exec(rangeHeader || '');
+  return Boolean(match && match[1] && Number(match[1]) > 0);
+}
+
+// HEAD 요청은 파일 정보만 확인하므로 권한만 보고 횟수에는 넣지 않는다.
+// 이어받기는 링크가 만료되기 전까지만 가능하므로 무료로 받을 수 있는 시간도 링크 유효 시간으로 제한된다.
+async function beginDownload(auction, userId, { method = 'GET', rangeHeader, ipAddress, downloadToken } = {}) {
+  assertDownloadAllowed(auction, userId);
+  if (method === 'HEAD') {
+    return;
+  }
+  if (isResumeRequest(rangeHeader)) {
+    if (!(await hasDownloadForToken(userId, auction.id, downloadToken))) {
+      throw Object.assign(new Error('이 링크로 시작한 다운로드가 없어 이어받을 수 없습니다.'), { status: 403 });
+    }
+    return;
+  }
+  const limit = getDownloadLimit(auction, userId);
+  const recorded = await recordDownloadWithinLimit(userId, auction.id, limit, { ipAddress, downloadToken });
+  if (!recorded) {
+    throw Object.assign(new Error(`다운로드 가능 횟수(${limit}회)를 모두 사용했습니다.`), { status: 403 });
+  }
+}
+
+module.exports = {
+  UPLOAD_DIR,
+  canDownloadAuctionFile,
+  assertDownloadAllowed,
+  getDownloadStatus,
+  createDownloadLink,
+  verifyDownloadLink,
+  resolveAuctionFile,
+  beginDownload
+};
@@ -0,0 +1,108 @@
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const { getSettingValue } = require('./adminApiStore');
+const { UPLOAD_DIR } = require('./fileDownloadService');
+
+// 미리보기도 원본과 같은 비공개 디렉터리에 두고 경매 라우트를 통해서만 내려준다.
+const PREVIEW_DIR = path.join(UPLOAD_DIR, 'previews');
+
+const DEFAULT_PREVIEW_PAGES = 2;
+const PREVIEW_WIDTH = 480;
+const PREVIEW_BLUR_SIGMA = 1.2;
+const WATERMARK_TEXT = 'PREVIEW · Jokbo Trade';
+
+function getPreviewPageCount() {
+  const pages = Number(getSettingValue('previewPageCount'));
+  return Number.isInteger(pages) && pages > 0 ? pages : DEFAULT_PREVIEW_PAGES;
+}
+
+// 이미지 크기에 맞춰 대각선 워터마크 문구를 반복해서 깐다.
+function buildWatermarkSvg(width, height) {
+  const rows = [];
+  for (let y = -height; y < height * 2; y += 90) {
+    for (let x = -width; x < width * 2; x += 320) {
+      rows.push(`<text x="${x}" y="${y}">${WATERMARK_TEXT}</text>`);
+    }
+  }
+  return Buffer.from(
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">
+      <g transform="rotate(-30 ${width / 2} ${height / 2})" fill="rgba(200,30,30,0.35)"
+        font-family="sans-serif" font-size="22" font-weight="bold">${rows.join('')}</g>
+    </svg>`
+  );
+}
+
+// 저해상도로 줄이고 살짝 흐리게 한 뒤 워터마크를 입혀 JPEG로 저장한다.
+async function writePreviewImage(input, outputPath) {
+  const { data, info } = await sharp(input)
+    .rotate()
+    .resize({ width: PREVIEW_WIDTH, withoutEnlargement: true })
+    .flatten({ background: '#ffffff' })
+    .blur(PREVIEW_BLUR_SIGMA)
+    .toBuffer({ resolveWithObject: true });
+  await sharp(data)
+    .composite([{ input: buildWatermarkSvg(info.width, info.height) }])
+    .jpeg({ quality: 60 })
+    .toFile(outputPath);
+  return outputPath;
+}
+
+function previewPathFor(file, index) {
+  const baseName = path.parse(file.filename || file.path).name;
+  return path.join(PREVIEW_DIR, `${baseName}-preview-${index + 1}.jpg`);
+}
+
+// 만든 미리보기는 바로 previewPaths에 넣어 중간에 실패해도 호출한 쪽에서 지울 수 있게 한다.
+async function renderPdfPreviews(file, pageCount, previewPaths) {
+  // pdf-to-img는 ES 모듈만 제공하므로 필요할 때 불러온다.
+  const { pdf } = await import('pdf-to-img');
+  const document = await pdf(file.path, { scale: 1 });
+  for await (const page of document) {
+    if (previewPaths.length >= pageCount) {
+      break;
+    }
+    previewPaths.push(await writePreviewImage(page, previewPathFor(file, previewPaths.length)));
+  }
+}
+
+// 업로드한 자료의 미리보기를 만든다. PDF는 앞쪽 몇 쪽을, 이미지는 한 장을 만든다.
+// 미리보기가 없어도 경매 등록은 할 수 있어야 하므로 실패하면 기록만 하고 빈 목록을 돌려준다.
+async function generatePreviews(file) {
+  const previewPaths = [];
+  try {
+    await fs.promises.mkdir(PREVIEW_DIR, { recursive: true });
+    if (file.mimetype === 'application/pdf') {
+      await renderPdfPreviews(file, getPreviewPageCount(), previewPaths);
+    } else if (file.mimetype && file.mimetype.startsWith('image/')) {
+      previewPaths.push(await writePreviewImage(file.path, previewPathFor(file, 0)));
+    }
+    return previewPaths;
+  } catch (error) {
+    console.error('미리보기 생성 실패:', error);
+    await deletePreviewImages(previewPaths);
+    return [];
+  }
+}
+
+async function deletePreviewImages(previewPaths = []) {
+  await Promise.all(
+    previewPaths.map((previewPath) => fs.promises.unlink(path.resolve(previewPath)).catch(() => {}))
+  );
+}
+
+// 저장된 경로가 미리보기 디렉터리 밖을 가리키면 내려주지 않는다.
+function resolvePreviewPath(auction, index) {
+  const previewPath = (auction.previewPaths || [])[index];
+  const absolutePath = previewPath ? path.resolve(previewPath) : null;
+  if (!absolutePath || !absolutePath.startsWith(`${PREVIEW_DIR}${path.sep}`)) {
+    throw Object.assign(new Error('미리보기를 찾을 수 없습니다.'), { status: 404 });
+  }
+  return absolutePath;
+}
+
+module.exports = {
+  generatePreviews,
+  deletePreviewImages,
+  resolvePreviewPath
+};
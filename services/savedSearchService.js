@@ -0,0 +1,147 @@
+const Auction = require('../models/mongo/Auction');
+const {
+  createSavedSearch,
+  listSavedSearches,
+  listSavedSearchesExcept,
+  deleteSavedSearch,
+  recordSavedSearchAlerts
+} = require('../models/savedSearchModel');
+const { findUserById } = require('../models/userModel');
+const { normalizeAuctionSearch, buildSearchQuery, buildSearchQueryString } = require('./auctionSearch');
+const { notifyUsers } = require('./socketService');
+const { serializeAuctionAlert } = require('./auctionSerializer');
+
+const MAX_SAVED_SEARCHES = 20;
+const MAX_SAVED_SEARCH_NAME_LENGTH = 100;
+// 집계 한 번에 대조할 저장한 검색 수. 파이프라인이 지나치게 커지지 않게 나눠 보낸다.
+const MAX_FACETS_PER_QUERY = 100;
+
+function parseSavedSearch(row) {
+  const search = normalizeAuctionSearch(Object.fromEntries(new URLSearchParams(row.query_string)));
+  return { id: row.id, name: row.name, queryString: row.query_string, search, createdAt: row.created_at };
+}
+
+// 목록 화면의 쿼리 문자열을 정규화해 저장한다. 정렬만 지정된 검색은 새 경매를 고를 조건이 없으므로 저장하지 않는다.
+async function saveSearch({ userId, name, queryString }) {
+  const search = normalizeAuctionSearch(Object.fromEntries(new URLSearchParams(String(queryString || ''))));
+  if (!buildSearchQueryString({ ...search, sort: null })) {
+    throw Object.assign(new Error('검색 조건을 하나 이상 입력한 뒤 저장하세요.'), { status: 400 });
+  }
+  const normalizedQueryString = buildSearchQueryString(search);
+  const existing = await listSavedSearches(Number(userId));
+  if (existing.some((row) => row.query_string === normalizedQueryString)) {
+    throw Object.assign(new Error('이미 저장한 검색입니다.'), { status: 409 });
+  }
+  if (existing.length >= MAX_SAVED_SEARCHES) {
+    throw Object.assign(new Error(`검색은 최대 ${MAX_SAVED_SEARCHES}개까지 저장할 수 있습니다.`), { status: 400 });
+  }
+  const normalizedName = (
+    String(name || '').trim() ||
+    search.q ||
+    [search.courseCode, search.courseName, search.department].filter(Boolean).join(' ') ||
+    '저장한 검색'
+  ).slice(0, MAX_SAVED_SEARCH_NAME_LENGTH);
+  const id = await createSavedSearch(Number(userId), {
+    name: normalizedName,
+    queryString: normalizedQueryString,
+    filters: search
+  });
+  return { id, name: normalizedName, queryString: normalizedQueryString, search };
+}
+
+async function listUserSavedSearches(userId) {
+  return (await listSavedSearches(Number(userId))).map(parseSavedSearch);
+}
+
+async function removeSavedSearch({ userId, savedSearchId }) {
+  const deleted = await deleteSavedSearch(Number(userId), Number(savedSearchId));
+  if (!deleted) {
+    throw Object.assign(new Error('저장한 검색을 찾을 수 없습니다.'), { status: 404 });
+  }
+}
+
+function buildSavedSearchAlertMessage(searchName) {
+  return `저장한 검색 "${searchName}"에 맞는 새 경매가 등록되었습니다.`;
+}
+
+// 저장한 검색마다 목록 검색과 같은 쿼리(buildSearchQuery)를 만들어, 새 경매 한 건에 대해 $facet 집계로
+// 어느 검색에 걸리는지 한꺼번에 확인한다. 판매자 평판은 평판 조건이 있는 검색이 있을 때 한 번만 불러온다.
+async function findMatchingSavedSearches(auction, savedSearches) {
+  let sellerReputation = null;
+  if (savedSearches.some(({ search }) => search.minReputation !== null)) {
+    const seller = await findUserById(auction.sellerId);
+    sellerReputation = seller ? Number(seller.reputation_score) : null;
+  }
+  const findSellerIds = async (minReputation) =>
+    sellerReputation !== null && sellerReputation >= minReputation ? [auction.sellerId] : [];
+  const matched = [];
+  for (let start = 0; start < savedSearches.length; start += MAX_FACETS_PER_QUERY) {
+    const batch = savedSearches.slice(start, start + MAX_FACETS_PER_QUERY);
+    const facets = {};
+    for (const [index, { search }] of batch.entries()) {
+      facets[`s${index}`] = [{ $match: await buildSearchQuery(search, { findSellerIds }) }, { $project: { _id: 1 } }];
+    }
+    const [result] = await Auction.aggregate([{ $match: { _id: auction._id } }, { $facet: facets }]);
+    matched.push(...batch.filter((savedSearch, index) => result && result[`s${index}`].length > 0));
+  }
+  return matched;
+}
+
+// 새로 게시된 경매가 다른 사용자의 저장한 검색 조건에 맞으면 알림을 남기고 소켓으로도 알린다.
+// 목록 검색과 같은 쿼리로 대조해 검색 결과와 알림이 어긋나지 않게 한다. 실패는 기록만 하고 전파하지 않는다.
+async function notifySavedSearchMatches(auction) {
+  try {
+    if (auction.status !== 'SCHEDULED' && auction.status !== 'OPEN') {
+      return;
+    }
+    const academic = auction.academic || {};
+    const rows = await listSavedSearchesExcept(auction.sellerId, {
+      department: academic.department || null,
+      courseCode: academic.courseCode || null,
+      materialType: academic.materialType || null,
+      price: auction.currentPrice
+    });
+    if (!rows.length) {
+      return;
+    }
+    const savedSearches = rows.map((row) => ({ row, search: parseSavedSearch(row).search }));
+    const matchesByUser = new Map();
+    (await findMatchingSavedSearches(auction, savedSearches)).forEach(({ row }) => {
+      if (!matchesByUser.has(row.user_id)) {
+        matchesByUser.set(row.user_id, row);
+      }
+    });
+    if (!matchesByUser.size) {
+      return;
+    }
+    const alerts = Array.from(matchesByUser, ([userId, row]) => ({
+      userId,
+      savedSearchId: row.id,
+      searchName: row.name,
+      auctionId: auction.id,
+      auctionTitle: auction.title
+    }));
+    await recordSavedSearchAlerts(alerts);
+    alerts.forEach((alert) => {
+      notifyUsers(
+        [alert.userId],
+        'savedSearchMatch',
+        serializeAuctionAlert(auction, {
+          savedSearchId: alert.savedSearchId,
+          message: buildSavedSearchAlertMessage(alert.searchName)
+        })
+      );
+    });
+  } catch (error) {
+    console.error(`Failed to match saved searches for auction ${auction.id}`, error);
+  }
+}
+
+module.exports = {
+  MAX_SAVED_SEARCHES,
+  saveSearch,
+  listUserSavedSearches,
+  removeSavedSearch,
+  notifySavedSearchMatches,
+  buildSavedSearchAlertMessage
+};
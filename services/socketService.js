@@ -1,38 +1,68 @@
 const { Server } = require('socket.io');
+const { serializeAuctionUpdate, serializeAuctionExtended } = require('./auctionSerializer');
 
 let io;
 
-function configureSocket(server) {
+function userRoom(userId) {
+  return `user:${userId}`;
+}
+
+function configureSocket(server, { sessionMiddleware } = {}) {
   io = new Server(server);
+  if (sessionMiddleware) {
+    io.engine.use(sessionMiddleware);
+  }
   io.on('connection', (socket) => {
+    const { session } = socket.request;
+    if (session && session.user) {
+      socket.data.user = { id: session.user.id, isAdmin: Boolean(session.user.isAdmin) };
+      socket.join(userRoom(session.user.id));
+    }
     socket.on('joinAuction', (auctionId) => {
       socket.join(auctionId);
     });
   });
 }
 
+// 상세 화면을 보고 있는 접속자마다 본인 기준의 내용으로 보낸다. 목록 갱신은 누구에게나 같은 공개 내용이다.
+function emitToAuctionViewers(auction, event, extra = {}) {
+  io.in(auction.id)
+    .fetchSockets()
+    .then((sockets) => {
+      sockets.forEach((socket) => {
+        socket.emit(event, { ...serializeAuctionUpdate(auction, socket.data.user || null), ...extra });
+      });
+    })
+    .catch((error) => console.error(`Failed to emit ${event} for auction ${auction.id}`, error));
+}
+
 function broadcastBidUpdate(auction) {
   if (!io) return;
-  io.to(auction.id).emit('bidUpdate', {
-    auctionId: auction.id,
-    currentPrice: auction.currentPrice,
-    bids: auction.bids,
-    endTime: auction.endTime,
-    status: auction.status,
-    winnerId: auction.winnerId,
-    winnerNickname: auction.winnerNickname,
-    winningBidAmount: auction.winningBidAmount
-  });
-  io.emit('auctionListUpdate', {
-    auctionId: auction.id,
-    currentPrice: auction.currentPrice,
-    endTime: auction.endTime,
-    bids: auction.bids,
-    status: auction.status,
-    winnerId: auction.winnerId,
-    winnerNickname: auction.winnerNickname,
-    winningBidAmount: auction.winningBidAmount
-  });
+  emitToAuctionViewers(auction, 'bidUpdate');
+  io.emit('auctionListUpdate', serializeAuctionUpdate(auction));
+}
+
+function broadcastPriceUpdate(auction, { nextDropAt } = {}) {
+  if (!io) return;
+  emitToAuctionViewers(auction, 'priceUpdate', { nextDropAt: nextDropAt || null });
+  io.emit('auctionListUpdate', { ...serializeAuctionUpdate(auction), nextDropAt: nextDropAt || null });
+}
+
+function broadcastAuctionExtended(auction, extension) {
+  if (!io) return;
+  io.to(auction.id).emit('auctionExtended', serializeAuctionExtended(auction, extension));
+}
+
+// 특정 사용자들에게만 보내는 알림. 사용자는 로그인한 세션으로 연결하면 자신의 방에 들어간다.
+function notifyUsers(userIds, event, payload) {
+  if (!io || !userIds.length) return;
+  io.to(userIds.map(userRoom)).emit(event, payload);
 }
 
-module.exports = { configureSocket, broadcastBidUpdate };
+module.exports = {
+  configureSocket,
+  broadcastBidUpdate,
+  broadcastPriceUpdate,
+  broadcastAuctionExtended,
+  notifyUsers
+};
@@ -0,0 +1,124 @@
+const {
+  Types: { ObjectId }
+} = require('mongoose');
+const Auction = require('../models/mongo/Auction');
+const {
+  addWatch,
+  removeWatch,
+  listWatchedAuctionIds,
+  listWatcherIds,
+  recordWatchAlerts
+} = require('../models/watchlistModel');
+const { notifyUsers } = require('./socketService');
+const { serializeAuctionAlert } = require('./auctionSerializer');
+
+const ENDING_SOON_MS = 60 * 60 * 1000;
+
+function buildWatchAlertMessage(auction, type) {
+  if (type === 'ENDING_SOON') {
+    return `관심 경매가 1시간 안에 마감됩니다. (마감 ${new Date(auction.endTime).toLocaleString('ko-KR')})`;
+  }
+  if (type === 'OUTBID') {
+    // 밀봉 입찰은 종료 전까지 금액을 알리지 않는다.
+    return auction.type === 'SEALED'
+      ? '관심 경매에 새 입찰이 들어왔습니다.'
+      : `관심 경매에 새 입찰이 들어와 현재가가 ₩${Number(auction.currentPrice).toLocaleString('ko-KR')}이 되었습니다.`;
+  }
+  if (type === 'CANCELLED') {
+    return '관심 경매가 판매자에 의해 취소되었습니다.';
+  }
+  return auction.winnerId
+    ? `관심 경매가 ₩${Number(auction.winningBidAmount).toLocaleString('ko-KR')}에 낙찰되어 종료되었습니다.`
+    : '관심 경매가 낙찰자 없이 종료되었습니다.';
+}
+
+// 관심 목록에 추가한 사용자에게 알림을 남기고 소켓으로도 바로 알린다.
+// 입찰·종료 처리의 일부로 호출되므로 알림 실패는 기록만 하고 호출한 쪽으로 전파하지 않는다.
+async function notifyWatchers(auction, type, { excludeUserIds = [] } = {}) {
+  try {
+    const excluded = new Set([auction.sellerId, ...excludeUserIds].map(Number));
+    const watcherIds = (await listWatcherIds(auction.id)).filter((userId) => !excluded.has(Number(userId)));
+    if (!watcherIds.length) {
+      return;
+    }
+    const message = buildWatchAlertMessage(auction, type);
+    await recordWatchAlerts(watcherIds, { auctionId: auction.id, auctionTitle: auction.title, type, message });
+    notifyUsers(watcherIds, 'watchlistAlert', serializeAuctionAlert(auction, { type, message }));
+  } catch (error) {
+    console.error(`Failed to notify watchers of auction ${auction.id}`, error);
+  }
+}
+
+function getEndingSoonAt(auction) {
+  return new Date(new Date(auction.endTime).getTime() - ENDING_SOON_MS);
+}
+
+function buildEndingSoonQuery(now) {
+  return {
+    status: 'OPEN',
+    endingSoonNotifiedAt: null,
+    endTime: { $gt: now, $lte: new Date(now.getTime() + ENDING_SOON_MS) }
+  };
+}
+
+// 마감 1시간 전 알림은 조건부 갱신으로 표시해 여러 인스턴스에서도 한 번만 보낸다.
+async function notifyEndingSoon(auctionId) {
+  const now = new Date();
+  const auction = await Auction.findOneAndUpdate(
+    { _id: auctionId, ...buildEndingSoonQuery(now) },
+    { $set: { endingSoonNotifiedAt: now } },
+    { new: true }
+  );
+  if (auction) {
+    await notifyWatchers(auction, 'ENDING_SOON');
+  }
+  return auction;
+}
+
+async function notifyEndingSoonAuctions() {
+  const due = await Auction.find(buildEndingSoonQuery(new Date())).select('_id');
+  for (const auction of due) {
+    await notifyEndingSoon(auction._id);
+  }
+  return due.length;
+}
+
+async function watchAuction({ auctionId, userId }) {
+  const auction = await Auction.findById(auctionId);
+  if (!auction || auction.status === 'DRAFT') {
+    throw Object.assign(new Error('경매를 찾을 수 없습니다.'), { status: 404 });
+  }
+  if (auction.sellerId === Number(userId)) {
+    throw Object.assign(new Error('자신의 경매는 관심 목록에 추가할 수 없습니다.'), { status: 400 });
+  }
+  if (auction.status !== 'SCHEDULED' && auction.status !== 'OPEN') {
+    throw Object.assign(new Error('진행 중이거나 시작 예정인 경매만 관심 목록에 추가할 수 있습니다.'), { status: 400 });
+  }
+  await addWatch(Number(userId), auction.id);
+  return auction;
+}
+
+async function unwatchAuction({ auctionId, userId }) {
+  await removeWatch(Number(userId), String(auctionId));
+}
+
+// 관심 목록에 추가한 순서(최근 순)대로 경매를 돌려준다. 삭제된 임시 저장본 등 찾을 수 없는 경매는 건너뛴다.
+async function listWatchedAuctions(userId) {
+  const ids = (await listWatchedAuctionIds(Number(userId))).filter((id) => ObjectId.isValid(id));
+  if (!ids.length) {
+    return [];
+  }
+  const auctions = await Auction.find({ _id: { $in: ids }, status: { $ne: 'DRAFT' } });
+  const byId = new Map(auctions.map((auction) => [auction.id, auction]));
+  return ids.filter((id) => byId.has(id)).map((id) => byId.get(id));
+}
+
+module.exports = {
+  notifyWatchers,
+  getEndingSoonAt,
+  notifyEndingSoon,
+  notifyEndingSoonAuctions,
+  watchAuction,
+  unwatchAuction,
+  listWatchedAuctions
+};
@@ -0,0 +1,324 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const sharp = require('sharp');
+const { PDFDocument, StandardFonts, rgb, degrees } = require('pdf-lib');
+const Auction = require('../models/mongo/Auction');
+const { findOrCreateWatermark, findWatermarkByMarker } = require('../models/watermarkModel');
+const { UPLOAD_DIR } = require('./fileDownloadService');
+
+// 구매자용 사본은 한 번 만들면 다시 쓴다. 같은 바이트를 내려줘야 이어받기(Range)가 어긋나지 않는다.
+const WATERMARK_DIR = path.join(UPLOAD_DIR, 'watermarked');
+
+const MARKER_PATTERN = /JT-[0-9a-f]{12}/;
+const MARKER_LENGTH = 15;
+const MARKER_BITS = MARKER_LENGTH * 8;
+
+function createMarker() {
+  return `JT-${crypto.randomBytes(6).toString('hex')}`;
+}
+
+function buildNotice(marker) {
+  return `Licensed to buyer ${marker} - Jokbo Trade - redistribution prohibited`;
+}
+
+// 표시가 우연히 다른 구매와 겹치면 새로 뽑는다.
+async function getBuyerMarker(userId, auctionId) {
+  for (let attempt = 0; attempt < 3; attempt += 1) {
+    const marker = await findOrCreateWatermark(userId, auctionId, createMarker());
+    if (marker) {
+      return marker;
+    }
+  }
+  throw new Error('구매자 식별 표시를 발급하지 못했습니다.');
+}
+
+// 모든 쪽에 보이는 안내 문구와 옅은 대각선 표시를 넣고, 보이지 않는 투명 글자와 문서 정보에도 표시를 남긴다.
+// 암호화된 PDF는 내용을 고치면 깨지므로 원본 뒤에 표시를 담은 주석만 덧붙인다. readPdfMarker가 원문에서 찾는다.
+async function stampPdf(source, marker) {
+  const pdfDoc = await PDFDocument.load(source, { ignoreEncryption: true });
+  if (pdfDoc.isEncrypted) {
+    return Buffer.concat([source, Buffer.from(`\n%${buildNotice(marker)}\n`, 'latin1')]);
+  }
+  const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
+  for (const page of pdfDoc.getPages()) {
+    const { width, height } = page.getSize();
+    page.drawText(buildNotice(marker), { x: 24, y: 14, size: 8, font, color: rgb(0.6, 0.1, 0.1), opacity: 0.8 });
+    page.drawText(marker, {
+      x: width / 5,
+      y: height / 3,
+      size: Math.min(width, height) / 9,
+      font,
+      color: rgb(0.8, 0.2, 0.2),
+      opacity: 0.12,
+      rotate: degrees(35)
+    });
+    page.drawText(marker, { x: 2, y: 2, size: 1, font, opacity: 0 });
+  }
+  pdfDoc.setSubject(buildNotice(marker));
+  pdfDoc.setKeywords([marker]);
+  return Buffer.from(await pdfDoc.save());
+}
+
+function buildImageNoticeSvg(width, height, marker) {
+  const fontSize = Math.max(12, Math.round(width / 45));
+  const barHeight = fontSize * 2;
+  return Buffer.from(
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">
+      <text x="50%" y="50%" text-anchor="middle" font-family="sans-serif" font-weight="bold"
+        font-size="${Math.round(width / 10)}" fill="rgba(200,30,30,0.12)"
+        transform="rotate(-30 ${width / 2} ${height / 2})">${marker}</text>
+      <rect x="0" y="${height - barHeight}" width="${width}" height="${barHeight}" fill="rgba(255,255,255,0.75)" />
+      <text x="8" y="${height - fontSize * 0.6}" font-family="sans-serif" font-size="${fontSize}"
+        fill="rgb(150,25,25)">${buildNotice(marker)}</text>
+    </svg>`
+  );
+}
+
+// 파란색 채널의 최하위 비트에 표시를 반복해서 심는다. 무손실(PNG) 사본에서만 살아남는다.
+function embedPixelMarker(pixels, channels, marker) {
+  const payload = Buffer.from(marker, 'ascii');
+  for (let pixel = 0, offset = 2; offset < pixels.length; pixel += 1, offset += channels) {
+    const bitIndex = pixel % MARKER_BITS;
+    const bit = (payload[bitIndex >> 3] >> (7 - (bitIndex & 7))) & 1;
+    pixels[offset] = (pixels[offset] & 0xfe) | bit;
+  }
+}
+
+// 반복해서 심은 비트를 자리별 다수결로 읽어 일부 픽셀이 바뀌어도 표시를 복원한다.
+function readPixelMarker(pixels, channels) {
+  const ones = new Array(MARKER_BITS).fill(0);
+  const totals = new Array(MARKER_BITS).fill(0);
+  for (let pixel = 0, offset = 2; offset < pixels.length; pixel += 1, offset += channels) {
+    const bitIndex = pixel % MARKER_BITS;
+    ones[bitIndex] += pixels[offset] & 1;
+    totals[bitIndex] += 1;
+  }
+  const bytes = Buffer.alloc(MARKER_LENGTH);
+  for (let bitIndex = 0; bitIndex < MARKER_BITS; bitIndex += 1) {
+    if (ones[bitIndex] * 2 > totals[bitIndex]) {
+      bytes[bitIndex >> 3] |= 1 << (7 - (bitIndex & 7));
+    }
+  }
+  const match = MARKER_PATTERN.exec(bytes.toString('latin1'));
+  return match ? match[0] : null;
+}
+
+// 이미지는 보이는 안내 띠와 대각선 표시를 입히고 EXIF에 표시를 남긴다.
+// JPEG는 원래 형식을 유지하고, 나머지는 픽셀 표시가 살아남도록 PNG로 저장한다.
+async function stampImage(source, marker, format) {
+  const { data, info } = await sharp(source).rotate().removeAlpha().raw().toBuffer({ resolveWithObject: true });
+  const raw = { width: info.width, height: info.height, channels: info.channels };
+  const { data: pixels } = await sharp(data, { raw })
+    .composite([{ input: buildImageNoticeSvg(info.width, info.height, marker) }])
+    .removeAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  if (format === 'png') {
+    embedPixelMarker(pixels, raw.channels, marker);
+  }
+  const image = sharp(pixels, { raw }).withExif({
+    IFD0: { ImageDescription: marker, Copyright: buildNotice(marker) }
+  });
+  return format === 'png' ? image.png().toBuffer() : image.jpeg({ quality: 92 }).toBuffer();
+}
+
+function isPdfHeader(header) {
+  return header.toString('latin1').includes('%PDF-');
+}
+
+// 저장된 파일 이름의 확장자는 업로드한 사람이 붙인 것이므로 파일 앞부분의 시그니처로 형식을 판단한다.
+async function detectCopyFormat(filePath) {
+  const handle = await fs.promises.open(filePath, 'r');
+  let header;
+  try {
+    const buffer = Buffer.alloc(1024);
+    const { bytesRead } = await handle.read(buffer, 0, buffer.length, 0);
+    header = buffer.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+  if (isPdfHeader(header)) {
+    return { format: 'pdf', extension: '.pdf' };
+  }
+  if (header.subarray(0, 3).equals(Buffer.from([0xff, 0xd8, 0xff]))) {
+    return { format: 'jpeg', extension: '.jpg' };
+  }
+  const signature = header.subarray(0, 4).toString('latin1');
+  if (signature === '\x89PNG' || signature === 'GIF8') {
+    return { format: 'png', extension: '.png' };
+  }
+  return null;
+}
+
+// 판매자는 원본을, 낙찰자는 자기 식별 표시가 들어간 사본을 받는다.
+async function prepareDownloadCopy(auction, userId, sourcePath) {
+  if (Number(auction.sellerId) === Number(userId)) {
+    return { path: sourcePath, fileName: auction.fileOriginalName };
+  }
+  const copyFormat = await detectCopyFormat(sourcePath);
+  if (!copyFormat) {
+    throw Object.assign(new Error('이 형식의 자료는 구매자용 사본을 만들 수 없습니다.'), { status: 500 });
+  }
+  const marker = await getBuyerMarker(userId, auction.id);
+  const copyPath = path.join(WATERMARK_DIR, `${path.parse(sourcePath).name}-${marker}${copyFormat.extension}`);
+  const originalName = auction.fileOriginalName || path.basename(sourcePath);
+  const fileName = `${path.parse(originalName).name}${copyFormat.extension}`;
+  if (fs.existsSync(copyPath)) {
+    return { path: copyPath, fileName };
+  }
+  const source = await fs.promises.readFile(sourcePath);
+  let stamped;
+  try {
+    stamped =
+      copyFormat.format === 'pdf' ? await stampPdf(source, marker) : await stampImage(source, marker, copyFormat.format);
+  } catch (error) {
+    console.error('구매자용 사본 생성 실패:', error);
+    throw Object.assign(new Error('구매자용 사본을 만들지 못했습니다. 관리자에게 문의하세요.'), { status: 500 });
+  }
+  // 동시에 들어온 요청이 만드는 중인 파일을 내려주지 않도록 임시 파일에 쓴 뒤 이름을 바꾼다.
+  await fs.promises.mkdir(WATERMARK_DIR, { recursive: true });
+  const tempPath = `${copyPath}.${process.pid}.${Date.now()}.tmp`;
+  await fs.promises.writeFile(tempPath, stamped);
+  await fs.promises.rename(tempPath, copyPath);
+  return { path: copyPath, fileName };
+}
+
+// 원본이 지워지면 그 원본으로 만든 구매자용 사본(만드는 중인 임시 파일 포함)도 함께 지운다.
+async function deleteBuyerCopies(sourcePath) {
+  if (!sourcePath) return;
+  const prefix = `${path.parse(sourcePath).name}-`;
+  let entries;
+  try {
+    entries = await fs.promises.readdir(WATERMARK_DIR);
+  } catch (error) {
+    if (error.code === 'ENOENT') return;
+    throw error;
+  }
+  const markerAtStart = new RegExp(`^${MARKER_PATTERN.source}`);
+  const copies = entries.filter((entry) => entry.startsWith(prefix) && markerAtStart.test(entry.slice(prefix.length)));
+  await Promise.all(
+    copies.map((entry) => fs.promises.unlink(path.join(WATERMARK_DIR, entry)).catch(() => {}))
+  );
+}
+
+function findMarkerInText(text) {
+  const match = MARKER_PATTERN.exec(text || '');
+  return match ? match[0] : null;
+}
+
+// pdf-lib는 표준 글꼴 글자를 <4A542D...> 같은 16진 문자열로 쓰므로 읽기 전에 풀어 둔다.
+function decodePdfHexStrings(content) {
+  return content.replace(/<([0-9A-Fa-f\s]+)>/g, (match, hex) =>
+    Buffer.from(hex.replace(/\s/g, ''), 'hex').toString('latin1')
+  );
+}
+
+// 문서 정보가 지워졌어도 압축된 페이지 내용 속 투명 글자에서 표시를 찾을 수 있도록 스트림을 풀어 본다.
+async function readPdfMarker(buffer) {
+  try {
+    const pdfDoc = await PDFDocument.load(buffer, { updateMetadata: false });
+    const fromInfo = findMarkerInText(`${pdfDoc.getKeywords() || ''} ${pdfDoc.getSubject() || ''}`);
+    if (fromInfo) {
+      return fromInfo;
+    }
+  } catch (error) {
+    // 손상된 파일이라도 아래에서 원문을 직접 훑어본다.
+  }
+  const raw = buffer.toString('latin1');
+  const direct = findMarkerInText(decodePdfHexStrings(raw));
+  if (direct) {
+    return direct;
+  }
+  const streamPattern = /stream\r?\n/g;
+  let match;
+  while ((match = streamPattern.exec(raw))) {
+    const start = match.index + match[0].length;
+    const end = raw.indexOf('endstream', start);
+    if (end === -1) {
+      break;
+    }
+    try {
+      const inflated = zlib.inflateSync(buffer.subarray(start, end)).toString('latin1');
+      const found = findMarkerInText(decodePdfHexStrings(inflated));
+      if (found) {
+        return found;
+      }
+    } catch (error) {
+      // 압축되지 않았거나 다른 방식으로 압축된 스트림은 건너뛴다.
+    }
+    streamPattern.lastIndex = end + 'endstream'.length;
+  }
+  return null;
+}
+
+async function readImageMarker(buffer) {
+  const metadata = await sharp(buffer).metadata();
+  const fromExif = metadata.exif ? findMarkerInText(metadata.exif.toString('latin1')) : null;
+  if (fromExif) {
+    return fromExif;
+  }
+  const { data, info } = await sharp(buffer).removeAlpha().raw().toBuffer({ resolveWithObject: true });
+  return readPixelMarker(data, info.channels);
+}
+
+async function extractMarker(buffer) {
+  if (isPdfHeader(buffer.subarray(0, 1024))) {
+    return readPdfMarker(buffer);
+  }
+  try {
+    return await readImageMarker(buffer);
+  } catch (error) {
+    return findMarkerInText(buffer.toString('latin1'));
+  }
+}
+
+// 유출된 파일(또는 화면에 보이는 표시를 직접 입력한 값)로 어느 구매에서 나온 사본인지 찾는다.
+async function traceLeakedFile({ buffer = null, marker = '' } = {}) {
+  const typed = findMarkerInText(String(marker).trim().toLowerCase().replace(/^jt-/, 'JT-'));
+  if (!typed && !buffer) {
+    throw Object.assign(new Error('유출된 파일을 올리거나 식별 표시를 입력하세요.'), { status: 400 });
+  }
+  const found = typed || (await extractMarker(buffer));
+  if (!found) {
+    throw Object.assign(new Error('파일에서 구매자 식별 표시를 찾지 못했습니다.'), { status: 404 });
+  }
+  const record = await findWatermarkByMarker(found);
+  if (!record) {
+    throw Object.assign(new Error(`식별 표시 ${found}와 일치하는 구매 기록이 없습니다.`), { status: 404 });
+  }
+  const auction = await Auction.findById(record.auction_id)
+    .select('title sellerId sellerNickname winningBidAmount closedAt')
+    .lean();
+  return {
+    marker: found,
+    issuedAt: record.created_at,
+    downloadCount: Number(record.download_count),
+    lastDownloadedAt: record.last_downloaded_at,
+    buyer: {
+      id: record.user_id,
+      nickname: record.nickname,
+      realName: record.real_name,
+      studentId: record.student_id,
+      email: record.email
+    },
+    auction: auction
+      ? {
+          id: String(auction._id),
+          title: auction.title,
+          sellerId: auction.sellerId,
+          sellerNickname: auction.sellerNickname,
+          winningBidAmount: auction.winningBidAmount,
+          closedAt: auction.closedAt
+        }
+      : { id: record.auction_id }
+  };
+}
+
+module.exports = {
+  prepareDownloadCopy,
+  deleteBuyerCopies,
+  extractMarker,
+  traceLeakedFile
+};